@@ -1,29 +1,417 @@
 #!/usr/bin/env node
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-import { startAgent } from '../lib/agent.js';
+import { startAgent, startAgents } from '../lib/agent.js';
+import { findConfigFile, loadConfig, parseDuration } from '../lib/config.js';
+import { createInspector } from '../lib/inspector.js';
+import { createTunnelApi, createDeviceApi, createKeyApi, createSubdomainApi } from '../lib/api.js';
+import { createStaticSite } from '../lib/static.js';
+import { createRouter, parseRoute } from '../lib/routes.js';
+import { generateAccessToken, parseBasicAuth } from '../lib/access.js';
+import { discoverServer, toWebSocketUrl } from '../lib/discovery.js';
+import { DEFAULT_PROFILE, loadProfiles, saveProfiles, saveProfile, resolveProfile, hasValidToken, tokenExpiry } from '../lib/profiles.js';
 import fetch from 'node-fetch';
-import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import readline from 'readline/promises';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const TOKEN_PATH = path.join(process.env.HOME || process.env.USERPROFILE, '.ngrok_clone_token.json');
+// Exit codes for scripts wrapping the CLI, keyed by the server's close code
+const CLOSE_CODE_EXITS = {
+    4001: { exitCode: 3, message: 'Authentication failed. Run `ghostgate auth` to sign in again, or check your API key.' },
+    4002: { exitCode: 4, message: 'Another agent connected with the same tunnel name, so this one was disconnected.' },
+    4003: { exitCode: 5, message: 'The server refused to register the tunnel.' },
+    4004: { exitCode: 6, message: 'The tunnel was deactivated or deleted by its owner.' },
+};
 
-const serverUrl = "http://localhost:3000"
+/**
+ * Run an agent until the server stops it for good, then exit with a code
+ * describing why
+ */
+async function runAgent(...args) {
+    exitForStop(await startAgent(...args));
+}
+
+/**
+ * Start every tunnel listed in the project config file, print one summary of
+ * their URLs once all are online, and exit when any of them is stopped.
+ * All of them are registered over one agent connection.
+ */
+async function runConfig(configPath, argv, inspector) {
+    const file = findConfigFile(configPath);
+    const config = loadConfig(file);
+    const { profile, tunnelUrl: server } = await connectProfile(argv, argv.server || config.server);
+    console.log(`📄 Loaded ${config.tunnels.length} tunnel(s) from ${path.basename(file)}`);
+
+    const token = await getAgentToken(profile, argv);
+    console.log('🔗 Establishing tunnel connection...');
+
+    const online = new Map();
+    const targets = new Map(config.tunnels.map(tunnel => [tunnel.name, configTarget(tunnel)]));
+    const stops = startAgents(server, token, config.tunnels.map(tunnel => ({
+        target: targets.get(tunnel.name),
+        agentId: tunnel.id,
+        options: {
+            protocol: tunnel.protocol,
+            insecure: tunnel.insecure,
+            caFile: tunnel.caFile,
+            hostHeader: tunnel.hostHeader,
+            basicAuth: tunnel.basicAuth,
+            requireToken: tunnel.requireToken,
+            ipAllow: tunnel.ipAllow,
+            ipDeny: tunnel.ipDeny,
+            rateLimit: tunnel.rateLimit,
+            ipRateLimit: tunnel.ipRateLimit,
+            tunnelName: tunnel.name,
+            subdomain: tunnel.subdomain,
+            description: tunnel.description,
+            requestTimeout: tunnel.requestTimeout,
+            maxConcurrency: tunnel.maxConcurrency,
+            inspector: tunnel.protocol === 'http' ? inspector : undefined,
+            onRegistered: (info) => {
+                const firstTime = !online.has(tunnel.name);
+                const target = targets.get(tunnel.name);
+                online.set(tunnel.name, { ...info, target: target.label || tunnel.upstream || `localhost:${tunnel.port}` });
+                if (firstTime && online.size === config.tunnels.length) {
+                    printTunnelSummary(config.tunnels, online);
+                }
+            }
+        }
+    })));
+
+    exitForStop(await Promise.race(stops));
+}
+
+// --basic-auth, --require-token, IP lists and rate limits for `register`;
+// a bare --require-token gets a random token
+function accessOptions(argv) {
+    const options = {
+        basicAuth: argv.basicAuth,
+        requireToken: argv.requireToken,
+        ipAllow: argv.allowIp,
+        ipDeny: argv.denyIp,
+        rateLimit: argv.rateLimit,
+        ipRateLimit: argv.ipRateLimit
+    };
+    if (argv.requireToken === '') {
+        options.requireToken = generateAccessToken();
+        console.log(`🔑 Visitors must send: Authorization: Bearer ${options.requireToken}`);
+    }
+    return options;
+}
+
+// Route table, upstream URL or port of a config file entry
+function configTarget(tunnel) {
+    const main = tunnel.upstream || tunnel.port;
+    if (!tunnel.routes) return main;
+
+    const routes = main ? [...tunnel.routes, { path: '/', target: main }] : tunnel.routes;
+    return createRouter(routes, { insecure: tunnel.insecure, caFile: tunnel.caFile, hostHeader: tunnel.hostHeader });
+}
+
+function printTunnelSummary(tunnels, online) {
+    const width = Math.max(...tunnels.map(tunnel => tunnel.name.length));
+    console.log('\n' + '='.repeat(60));
+    console.log('🌐 TUNNELS ONLINE');
+    console.log('='.repeat(60));
+    for (const tunnel of tunnels) {
+        const info = online.get(tunnel.name);
+        console.log(`   ${tunnel.name.padEnd(width)}  ${info.url} → ${info.target}`);
+    }
+    console.log('='.repeat(60) + '\n');
+}
+
+function exitForStop({ code, reason, error }) {
+    const exit = CLOSE_CODE_EXITS[code] || { exitCode: 1, message: `Disconnected by server (code ${code}).` };
+    console.error(`❌ ${exit.message}`);
+    if (error || reason) {
+        console.error(`   ${error || reason}`);
+    }
+    process.exit(exit.exitCode);
+}
+
+/**
+ * Run a `ghostgate tunnels <action>` command against the tunnel server's API
+ */
+async function manageTunnels(action, argv) {
+    const { profile } = await connectProfile(argv);
+    const api = createTunnelApi(profile.server, await getToken(profile));
+    const tunnel = argv.tunnel !== undefined ? String(argv.tunnel) : undefined;
+
+    switch (action) {
+        case 'list': {
+            const tunnels = await api.list();
+            if (tunnels.length === 0) {
+                console.log('ℹ️  You have no tunnels yet. Create one with `ghostgate expose`.');
+                return;
+            }
+            const width = Math.max(...tunnels.map(t => t.subdomain.length));
+            for (const t of tunnels) {
+                const state = t.connected ? '🟢 online ' : '⚪ offline';
+                console.log(`${state}  ${t.subdomain.padEnd(width)}  ${t.url || '-'}  (${t.name}, ${t.protocol})`);
+            }
+            break;
+        }
+        case 'info':
+            printTunnelInfo(await api.get(tunnel));
+            break;
+        case 'rename': {
+            const updated = await api.update(tunnel, { name: String(argv.name) });
+            console.log(`✅ Renamed "${tunnel}" to "${updated.name}"`);
+            break;
+        }
+        case 'subdomain': {
+            const updated = await api.update(tunnel, { subdomain: String(argv.subdomain) });
+            console.log(`✅ "${updated.name}" now uses ${updated.url}`);
+            break;
+        }
+        case 'domain': {
+            if (!argv.domain && !argv.clear && !argv.verify) {
+                throw new Error('Give a domain like app.example.com, --clear to remove it, or --verify to check its DNS');
+            }
+            let updated;
+            if (argv.verify && !argv.domain) {
+                try {
+                    updated = await api.verifyDomain(tunnel);
+                } catch (error) {
+                    if (error.code !== 'domain_not_verified') throw error;
+                    console.log(`⏳ ${error.message}`);
+                    updated = await api.get(tunnel);
+                }
+            } else {
+                updated = await api.update(tunnel, { customDomain: argv.clear ? null : String(argv.domain) });
+            }
+            if (updated.customDomain && !updated.customDomainVerified) {
+                printDomainVerification(updated);
+                break;
+            }
+            console.log(`✅ "${updated.name}" now uses ${updated.url}`);
+            if (updated.customDomain) {
+                console.log(`   Point ${updated.customDomain} at the tunnel server (CNAME or A record).`);
+                if (updated.customDomainCertificate === false) {
+                    console.log(`⚠️  The server has no certificate for ${updated.customDomain} yet, so HTTPS visitors get a certificate warning.`);
+                }
+            }
+            break;
+        }
+        case 'access': {
+            const changes = argv.clear ? { ipAllow: [], ipDeny: [] } : {};
+            if (argv.allowIp) changes.ipAllow = argv.allowIp;
+            if (argv.denyIp) changes.ipDeny = argv.denyIp;
+            const updated = Object.keys(changes).length ? await api.update(tunnel, changes) : await api.get(tunnel);
+            console.log(`Allowed: ${updated.ipAllow?.length ? updated.ipAllow.join(', ') : 'everyone'}`);
+            console.log(`Denied:  ${updated.ipDeny?.length ? updated.ipDeny.join(', ') : 'nobody'}`);
+            break;
+        }
+        case 'deactivate': {
+            const { disconnected } = await api.deactivate(tunnel);
+            console.log(`✅ Deactivated "${tunnel}"${disconnected ? ' and disconnected its agent' : ''}`);
+            break;
+        }
+        case 'delete': {
+            if (!argv.yes && !(await confirm(`Delete tunnel "${tunnel}" and all of its analytics?`))) {
+                console.log('Cancelled.');
+                return;
+            }
+            const { disconnected } = await api.remove(tunnel);
+            console.log(`🗑️  Deleted "${tunnel}"${disconnected ? ' and disconnected its agent' : ''}`);
+            break;
+        }
+    }
+}
+
+/**
+ * Run a `ghostgate devices <action>` command: the signed-in sessions of this account
+ */
+async function manageDevices(action, argv) {
+    const { profile } = await connectProfile(argv);
+    const api = createDeviceApi(profile.server, await getToken(profile));
+
+    switch (action) {
+        case 'list': {
+            const devices = await api.list();
+            if (devices.length === 0) {
+                console.log('ℹ️  No signed-in devices (tokens from before device sessions are not listed).');
+                return;
+            }
+            for (const device of devices) {
+                console.log(`${device.connectedTunnels ? '🟢' : '⚪'} ${device.deviceId}${device.current ? ' (this device)' : ''}`);
+                console.log(`   Session:      ${device.id}`);
+                console.log(`   Signed in:    ${new Date(device.createdAt).toLocaleString()}`);
+                console.log(`   Last seen:    ${device.lastSeenAt ? new Date(device.lastSeenAt).toLocaleString() : 'never'}${device.lastIp ? ` from ${device.lastIp}` : ''}`);
+                console.log(`   Expires:      ${new Date(device.expiresAt).toLocaleString()}`);
+                if (device.connectedTunnels) {
+                    console.log(`   Tunnels:      ${device.connectedTunnels} online`);
+                }
+            }
+            break;
+        }
+        case 'revoke': {
+            const device = String(argv.device);
+            if (!argv.yes && !(await confirm(`Revoke "${device}"? Its token stops working and its tunnels disconnect.`))) {
+                console.log('Cancelled.');
+                return;
+            }
+            const { revoked, revokedCurrent, disconnected } = await api.revoke(device);
+            console.log(`🚫 Revoked ${revoked.length} session${revoked.length === 1 ? '' : 's'}${disconnected.length ? ` and disconnected ${disconnected.length} tunnel${disconnected.length === 1 ? '' : 's'}` : ''}`);
+            if (revokedCurrent) {
+                clearToken(profile.name);
+                console.log('   That was this device; run `ghostgate auth` to sign in again.');
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Run a `ghostgate keys <action>` command
+ */
+async function manageKeys(action, argv) {
+    const { profile } = await connectProfile(argv);
+    const api = createKeyApi(profile.server, await getToken(profile));
+
+    switch (action) {
+        case 'list': {
+            const keys = await api.list();
+            if (keys.length === 0) {
+                console.log('ℹ️  You have no API keys. Create one with `ghostgate keys create <name>`.');
+                return;
+            }
+            for (const key of keys) {
+                console.log(`${key.expired ? '⌛' : key.connectedTunnels ? '🟢' : '⚪'} ${key.name}  (${key.prefix}…)`);
+                console.log(`   ID:           ${key.id}`);
+                console.log(`   Subdomains:   ${key.subdomains.length ? key.subdomains.join(', ') : 'any'}`);
+                console.log(`   Expires:      ${key.expiresAt ? new Date(key.expiresAt).toLocaleString() : 'never'}${key.expired ? ' (expired)' : ''}`);
+                console.log(`   Last used:    ${key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'never'}${key.lastIp ? ` from ${key.lastIp}` : ''}`);
+            }
+            break;
+        }
+        case 'create': {
+            const { key, secret } = await api.create({
+                name: String(argv.name),
+                subdomains: argv.subdomain || [],
+                expiresAt: argv.expires ? new Date(Date.now() + argv.expires).toISOString() : undefined
+            });
+            console.log(`🔑 Created API key "${key.name}"${key.subdomains.length ? ` for ${key.subdomains.join(', ')}` : ''}`);
+            console.log(`   ${secret}`);
+            console.log('   Copy it now, it is not shown again. Use it with --authtoken or GHOSTGATE_AUTHTOKEN.');
+            break;
+        }
+        case 'revoke': {
+            const key = String(argv.key);
+            if (!argv.yes && !(await confirm(`Revoke API key "${key}"? Agents using it disconnect.`))) {
+                console.log('Cancelled.');
+                return;
+            }
+            const { revoked, disconnected } = await api.revoke(key);
+            console.log(`🚫 Revoked ${revoked.length} key${revoked.length === 1 ? '' : 's'}${disconnected.length ? ` and disconnected ${disconnected.length} tunnel${disconnected.length === 1 ? '' : 's'}` : ''}`);
+            break;
+        }
+    }
+}
 
 /**
- * Convert ws:// or wss:// to http:// or https:// for API endpoints
+ * Run a `ghostgate subdomains <action>` command
  */
-function toHttpUrl(serverUrl) {
-    return "http://localhost:3000";
+async function manageSubdomains(action, argv) {
+    const { profile } = await connectProfile(argv);
+    const api = createSubdomainApi(profile.server, await getToken(profile));
+
+    switch (action) {
+        case 'list': {
+            const reservations = await api.list();
+            if (reservations.length === 0) {
+                console.log('ℹ️  You have no reserved subdomains. Reserve one with `ghostgate subdomains reserve <name>`.');
+                return;
+            }
+            const width = Math.max(...reservations.map(r => r.subdomain.length));
+            for (const r of reservations) {
+                const state = r.tunnel?.connected ? '🟢' : '⚪';
+                console.log(`${state} ${r.subdomain.padEnd(width)}  ${r.url}  ${r.tunnel ? `(${r.tunnel.name})` : '(unused)'}`);
+            }
+            break;
+        }
+        case 'reserve': {
+            const reservation = await api.reserve(String(argv.subdomain));
+            console.log(`📌 Reserved ${reservation.subdomain}: ${reservation.url}`);
+            break;
+        }
+        case 'release': {
+            await api.release(String(argv.subdomain));
+            console.log(`✅ Released "${argv.subdomain}"`);
+            break;
+        }
+    }
+}
+
+// DNS records that prove control of a tunnel's pending custom domain
+function printDomainVerification(tunnel) {
+    const { cnameTarget, txtRecord } = tunnel.customDomainVerification;
+    console.log(`🔒 ${tunnel.customDomain} isn't routed to "${tunnel.name}" until DNS shows it's yours. Add one of:`);
+    if (cnameTarget) {
+        console.log(`   CNAME  ${tunnel.customDomain} → ${cnameTarget}`);
+    }
+    console.log(`   TXT    ${txtRecord.name} = "${txtRecord.value}"`);
+    console.log(`   then run \`ghostgate tunnels domain ${tunnel.subdomain} --verify\``);
+}
+
+function printTunnelInfo(tunnel) {
+    console.log(`${tunnel.connected ? '🟢' : '⚪'} ${tunnel.name}`);
+    console.log(`   ID:           ${tunnel.id}`);
+    console.log(`   Subdomain:    ${tunnel.subdomain}`);
+    console.log(`   URL:          ${tunnel.url || '-'}`);
+    if (tunnel.customDomain) {
+        const domainState = !tunnel.customDomainVerified ? ' (waiting for DNS verification)' :
+            tunnel.customDomainCertificate === false ? ' (no certificate on the server)' : '';
+        console.log(`   Domain:       ${tunnel.customDomain}${domainState}`);
+    }
+    console.log(`   Protocol:     ${tunnel.protocol}`);
+    console.log(`   Local port:   ${tunnel.localPort}`);
+    console.log(`   Timeout:      ${tunnel.requestTimeout}ms`);
+    console.log(`   Status:       ${tunnel.connected ? 'online' : tunnel.isActive ? 'active' : 'inactive'}`);
+    if (tunnel.description) {
+        console.log(`   Description:  ${tunnel.description}`);
+    }
+    for (const [index, route] of (tunnel.routes || []).entries()) {
+        const label = index === 0 ? 'Routes:' : '';
+        console.log(`   ${label.padEnd(14)}${route.path} → ${route.target}${route.stripPrefix ? ' (prefix stripped)' : ''}`);
+    }
+    if (tunnel.protection) {
+        const methods = [
+            tunnel.protection.basicAuthUser && `password (user "${tunnel.protection.basicAuthUser}")`,
+            tunnel.protection.bearerToken && 'bearer token'
+        ].filter(Boolean);
+        console.log(`   Protected:    ${methods.join(', ')}`);
+    }
+    if (tunnel.ipAllow?.length) {
+        console.log(`   Allowed IPs:  ${tunnel.ipAllow.join(', ')}`);
+    }
+    if (tunnel.ipDeny?.length) {
+        console.log(`   Denied IPs:   ${tunnel.ipDeny.join(', ')}`);
+    }
+    if (tunnel.rateLimits) {
+        const limits = [
+            tunnel.rateLimits.tunnel && `${tunnel.rateLimits.tunnel} per tunnel`,
+            tunnel.rateLimits.ip && `${tunnel.rateLimits.ip} per visitor IP`
+        ].filter(Boolean);
+        console.log(`   Rate limits:  ${limits.join(', ')}`);
+    }
+    console.log(`   Requests:     ${tunnel.totalRequests}`);
+    console.log(`   Created:      ${new Date(tunnel.createdAt).toLocaleString()}`);
+    if (tunnel.lastConnected) {
+        console.log(`   Last online:  ${new Date(tunnel.lastConnected).toLocaleString()}`);
+    }
+}
+
+async function confirm(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await rl.question(`${question} [y/N] `);
+    rl.close();
+    return /^y(es)?$/i.test(answer.trim());
 }
 
 /**
  * Request a device code from the server
  */
-async function requestDeviceCode(serverUrl) {
-    const apiUrl = toHttpUrl(serverUrl);
+async function requestDeviceCode(apiUrl) {
     const response = await fetch(`${apiUrl}/api/auth/request-device-code`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -42,8 +430,7 @@ async function requestDeviceCode(serverUrl) {
 /**
  * Poll the server for authentication status
  */
-async function pollForAuth(serverUrl, code, maxAttempts = 30) {
-    const apiUrl = toHttpUrl(serverUrl);
+async function pollForAuth(apiUrl, code, maxAttempts = 30) {
     console.log('Waiting for authentication...');
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
         await new Promise(resolve => setTimeout(resolve, 2000));
@@ -68,13 +455,13 @@ async function pollForAuth(serverUrl, code, maxAttempts = 30) {
 }
 
 /**
- * Complete authentication flow
+ * Complete authentication flow and store the token in the profile
  */
-async function authenticate(serverUrl) {
+async function authenticate(profile) {
     console.log('🔐 Starting authentication...');
-    console.log("server : ", serverUrl)
-    const { code, url, expiresIn } = await requestDeviceCode(serverUrl);
-    console.log(`🔁 Polling for code: ${code} on server: ${serverUrl}`);
+    console.log(`   Profile: ${profile.name} (${profile.apiUrl})`);
+    const { code, url, expiresIn } = await requestDeviceCode(profile.apiUrl);
+    console.log(`🔁 Polling for code: ${code} on server: ${profile.apiUrl}`);
 
     // 1. Display instructions to user
     console.log('\n' + '='.repeat(60));
@@ -88,79 +475,179 @@ async function authenticate(serverUrl) {
     console.log(`💡 Tip: The code will expire in ${Math.floor(expiresIn / 60)} minutes\n`);
 
     // 2. Poll for authentication
-    const token = await pollForAuth(serverUrl, code);
+    const token = await pollForAuth(profile.apiUrl, code);
 
     // 3. Store token securely
-    const tokenData = {
-        token,
-        timestamp: Date.now(),
-        serverUrl: toHttpUrl(serverUrl)
-    };
-    fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokenData, null, 2), { mode: 0o600 });
-    console.log('💾 Token saved successfully!');
+    const issuedAt = Date.now();
+    saveProfile({ ...profile, token, issuedAt, expiresAt: tokenExpiry(token, issuedAt) });
+    console.log(`💾 Token saved to profile "${profile.name}"`);
     return token;
 }
 
 /**
- * Get existing token or authenticate
+ * Get the profile's token, or authenticate if it has none or it expired
  */
-async function getToken(serverUrl) {
-    try {
-        if (fs.existsSync(TOKEN_PATH)) {
-            const tokenData = JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8'));
-            const tokenAge = Date.now() - (tokenData.timestamp || 0);
-            const maxAge = 29 * 24 * 60 * 60 * 1000; // 29 days
-            if (tokenData.token && tokenAge < maxAge) {
-                console.log('✅ Using existing authentication token');
-                return tokenData.token;
-            } else {
-                console.log('⚠️  Token expired, reauthenticating...');
+async function getToken(profile) {
+    if (hasValidToken(profile)) {
+        console.log('✅ Using existing authentication token');
+        // Records the server for profiles imported from the old token file
+        saveProfile(profile);
+        return profile.token;
+    }
+
+    console.log(profile.token ? '⚠️  Token expired, reauthenticating...' : '🔐 No token found, authenticating...');
+    return await authenticate(profile);
+}
+
+/**
+ * Token for an agent: the --authtoken / GHOSTGATE_AUTHTOKEN API key when
+ * given, so CI never falls back to the browser sign-in
+ */
+async function getAgentToken(profile, argv) {
+    if (argv.authtoken) {
+        console.log('🔑 Using API key');
+        return argv.authtoken.trim();
+    }
+    return getToken(profile);
+}
+
+/**
+ * Profile selected by --profile / --server / --api-url
+ */
+function selectProfile(argv, server = argv.server) {
+    return resolveProfile(loadProfiles(), {
+        profile: argv.profile,
+        server,
+        apiUrl: argv.apiUrl
+    });
+}
+
+/**
+ * Selected profile plus what the server publishes about itself, so one
+ * --server URL is enough: the agent endpoint and sign-in URL come from its
+ * discovery document. Older servers without one are used as given.
+ */
+async function connectProfile(argv, server = argv.server) {
+    const profile = selectProfile(argv, server);
+    const discovery = await discoverServer(profile.server);
+    if (discovery?.auth?.url && !argv.apiUrl) {
+        profile.apiUrl = discovery.auth.url;
+    }
+    return {
+        profile,
+        discovery,
+        tunnelUrl: discovery?.websocketUrl || toWebSocketUrl(profile.server)
+    };
+}
+
+function clearToken(name) {
+    const store = loadProfiles();
+    if (store.profiles[name]) {
+        delete store.profiles[name].token;
+        delete store.profiles[name].issuedAt;
+        delete store.profiles[name].expiresAt;
+        saveProfiles(store);
+    }
+}
+
+/**
+ * Revoke the token on its server and clear it locally, for one profile or all
+ * of them. The local token is cleared even when the server can't be reached.
+ */
+async function logout(argv) {
+    const store = loadProfiles();
+    const names = argv.all ? Object.keys(store.profiles) : [selectProfile(argv).name];
+    const loggedOut = names.filter(name => store.profiles[name]?.token);
+
+    for (const name of loggedOut) {
+        const { server, token } = store.profiles[name];
+        if (server && hasValidToken(resolveProfile(store, { profile: name }))) {
+            try {
+                await createDeviceApi(server, token).revoke('current');
+            } catch (error) {
+                // 400: a token from before device sessions, which can't be revoked
+                if (error.status !== 400) {
+                    console.warn(`⚠️  Could not revoke the "${name}" token on ${server}: ${error.message}`);
+                }
             }
-        } else {
-            console.log('🔐 No token found, authenticating...');
         }
-    } catch (error) {
-        console.log('⚠️ Error reading token:', error.message);
+        clearToken(name);
     }
 
-    // Only call authenticate ONCE here
-    return await authenticate(serverUrl);
+    if (loggedOut.length) {
+        console.log(`✅ Logged out of ${loggedOut.map(name => `"${name}"`).join(', ')}`);
+    } else {
+        console.log('ℹ️  No authentication token found');
+    }
 }
 
 /**
- * Clear stored authentication
+ * Show the authentication status of every profile
  */
-function logout() {
-    try {
-        if (fs.existsSync(TOKEN_PATH)) {
-            fs.unlinkSync(TOKEN_PATH);
-            console.log('✅ Logged out successfully!');
+function showStatus() {
+    const store = loadProfiles();
+    const names = Object.keys(store.profiles);
+    if (names.length === 0) {
+        console.log('❌ Not authenticated');
+        return;
+    }
+
+    const day = 24 * 60 * 60 * 1000;
+    for (const name of names) {
+        const profile = resolveProfile(store, { profile: name });
+        const current = name === store.current ? ' (current)' : '';
+        if (hasValidToken(profile)) {
+            console.log(`✅ ${name}${current}`);
         } else {
-            console.log('ℹ️  No authentication token found');
+            console.log(`❌ ${name}${current} - ${profile.token ? 'token expired' : 'not authenticated'}`);
+        }
+        console.log(`   Server: ${store.profiles[name].server || 'not used yet'}`);
+        console.log(`   API: ${profile.apiUrl}`);
+        if (profile.token) {
+            console.log(`   Token age: ${Math.floor((Date.now() - profile.issuedAt) / day)} days`);
+            console.log(`   Expires: ${Math.max(0, Math.floor((profile.expiresAt - Date.now()) / day))} days remaining`);
         }
-    } catch (error) {
-        console.error('❌ Failed to logout:', error.message);
     }
 }
 
 /**
- * Show current authentication status
+ * Run a `ghostgate profile <action>` command
  */
-function showStatus() {
-    try {
-        if (fs.existsSync(TOKEN_PATH)) {
-            const tokenData = JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8'));
-            const tokenAge = Date.now() - (tokenData.timestamp || 0);
-            const daysOld = Math.floor(tokenAge / (24 * 60 * 60 * 1000));
-            console.log('✅ Authenticated');
-            console.log(`   Server: ${tokenData.serverUrl || 'Unknown'}`);
-            console.log(`   Token age: ${daysOld} days`);
-            console.log(`   Expires: ${29 - daysOld} days remaining`);
-        } else {
-            console.log('❌ Not authenticated');
+async function manageProfiles(action, argv) {
+    const store = loadProfiles();
+    const name = argv.name;
+
+    switch (action) {
+        case 'add': {
+            if (store.profiles[name]) {
+                throw new Error(`Profile "${name}" already exists`);
+            }
+            const { profile } = await connectProfile({ ...argv, profile: name });
+            const { name: _, ...fields } = profile;
+            store.profiles[name] = fields;
+            if (argv.use) store.current = name;
+            saveProfiles(store);
+            console.log(`✅ Added profile "${name}" for ${profile.server} (API ${profile.apiUrl})`);
+            console.log(`   Sign in with: ghostgate auth --profile ${name}`);
+            break;
         }
-    } catch (error) {
-        console.log('⚠️  Authentication status unclear:', error.message);
+        case 'use':
+            if (!store.profiles[name]) {
+                throw new Error(`No profile named "${name}"`);
+            }
+            store.current = name;
+            saveProfiles(store);
+            console.log(`✅ Now using profile "${name}"`);
+            break;
+        case 'remove':
+            if (!store.profiles[name]) {
+                throw new Error(`No profile named "${name}"`);
+            }
+            delete store.profiles[name];
+            if (store.current === name) store.current = DEFAULT_PROFILE;
+            saveProfiles(store);
+            console.log(`🗑️  Removed profile "${name}"`);
+            break;
     }
 }
 
@@ -168,15 +655,118 @@ function showStatus() {
 const argv = yargs(hideBin(process.argv))
     .usage('Usage: $0 <command>')
     .command('expose', 'Expose your localhost', {
-        port: { describe: 'Local port to expose', demandOption: true, type: 'number', alias: 'p' },
+        port: { describe: 'Local port to expose', type: 'number', alias: 'p' },
+        upstream: { describe: 'Forward to this URL instead of a local port, e.g. https://192.168.1.20:8443', type: 'string', alias: 'u' },
+        route: { describe: 'Send a path prefix elsewhere: PREFIX=PORT_OR_URL[,strip] (repeatable)', type: 'array', string: true, coerce: routes => routes.map(parseRoute) },
+        insecure: { describe: 'Skip TLS certificate verification for an https upstream', type: 'boolean' },
+        'ca-file': { describe: 'PEM file with a CA to trust for an https upstream', type: 'string' },
+        'host-header': { describe: 'Host header sent upstream: "rewrite" (default) for the upstream\'s host, "preserve" for the public host, or a hostname', type: 'string' },
+        'basic-auth': { describe: 'Ask visitors for a password: user:password', type: 'string', coerce: parseBasicAuth },
+        'require-token': { describe: 'Require "Authorization: Bearer <token>" from visitors (a random token if no value is given)', type: 'string' },
+        'allow-ip': { describe: 'Only let in visitors from this address or CIDR range (repeatable)', type: 'array', string: true },
+        'deny-ip': { describe: 'Turn away visitors from this address or CIDR range (repeatable)', type: 'array', string: true },
+        'rate-limit': { describe: 'Most requests the tunnel takes, e.g. 600/m (per s, m or h)', type: 'string' },
+        'ip-rate-limit': { describe: 'Most requests one visitor IP may send, e.g. 60/m', type: 'string' },
+        name: { describe: 'Unique name/ID for your tunnel', demandOption: true, type: 'string', alias: 'n' },
+        server: { describe: 'Tunnel server URL (defaults to the profile\'s)', type: 'string', alias: 's' },
+        authtoken: { describe: 'API key to connect with instead of the signed-in token', type: 'string', default: process.env.GHOSTGATE_AUTHTOKEN, defaultDescription: '$GHOSTGATE_AUTHTOKEN' },
+        'max-concurrency': { describe: 'Maximum requests forwarded to your app at once (server caps this)', type: 'number' },
+        timeout: { describe: 'How long your app may take to respond, e.g. 60s or 2m (server caps this)', type: 'string', coerce: parseDuration },
+        inspect: { describe: 'Run the local traffic inspector (--no-inspect to disable)', type: 'boolean', default: true },
+        'inspect-port': { describe: 'Loopback port for the traffic inspector', type: 'number', default: 4040 }
+    })
+    .command('tcp', 'Expose a local TCP port (Postgres, Redis, SSH...)', {
+        port: { describe: 'Local TCP port to expose', demandOption: true, type: 'number', alias: 'p' },
+        name: { describe: 'Unique name/ID for your tunnel', demandOption: true, type: 'string', alias: 'n' },
+        server: { describe: 'Tunnel server URL (defaults to the profile\'s)', type: 'string', alias: 's' },
+        authtoken: { describe: 'API key to connect with instead of the signed-in token', type: 'string', default: process.env.GHOSTGATE_AUTHTOKEN, defaultDescription: '$GHOSTGATE_AUTHTOKEN' },
+        'allow-ip': { describe: 'Only accept connections from this address or CIDR range (repeatable)', type: 'array', string: true },
+        'deny-ip': { describe: 'Refuse connections from this address or CIDR range (repeatable)', type: 'array', string: true }
+    })
+    .command('serve <dir>', 'Share a directory of files, no local server needed', {
         name: { describe: 'Unique name/ID for your tunnel', demandOption: true, type: 'string', alias: 'n' },
-        server: { describe: 'Tunnel server URL', type: 'string', default: 'ws://localhost:8080', alias: 's' }
+        server: { describe: 'Tunnel server URL (defaults to the profile\'s)', type: 'string', alias: 's' },
+        authtoken: { describe: 'API key to connect with instead of the signed-in token', type: 'string', default: process.env.GHOSTGATE_AUTHTOKEN, defaultDescription: '$GHOSTGATE_AUTHTOKEN' },
+        spa: { describe: 'Serve index.html for unknown paths (single-page apps)', type: 'boolean' },
+        'basic-auth': { describe: 'Ask visitors for a password: user:password', type: 'string', coerce: parseBasicAuth },
+        'require-token': { describe: 'Require "Authorization: Bearer <token>" from visitors (a random token if no value is given)', type: 'string' },
+        'allow-ip': { describe: 'Only let in visitors from this address or CIDR range (repeatable)', type: 'array', string: true },
+        'deny-ip': { describe: 'Turn away visitors from this address or CIDR range (repeatable)', type: 'array', string: true },
+        'rate-limit': { describe: 'Most requests the tunnel takes, e.g. 600/m (per s, m or h)', type: 'string' },
+        'ip-rate-limit': { describe: 'Most requests one visitor IP may send, e.g. 60/m', type: 'string' },
+        listing: { describe: 'List directories that have no index.html', type: 'boolean' },
+        inspect: { describe: 'Run the local traffic inspector (--no-inspect to disable)', type: 'boolean', default: true },
+        'inspect-port': { describe: 'Loopback port for the traffic inspector', type: 'number', default: 4040 }
     })
+    .command('start', 'Start every tunnel listed in ghostgate.yml', {
+        config: { describe: 'Path to the tunnels config file', type: 'string', alias: 'c' },
+        server: { describe: 'Tunnel server URL (overrides the config file)', type: 'string', alias: 's' },
+        authtoken: { describe: 'API key to connect with instead of the signed-in token', type: 'string', default: process.env.GHOSTGATE_AUTHTOKEN, defaultDescription: '$GHOSTGATE_AUTHTOKEN' },
+        inspect: { describe: 'Run the local traffic inspector (--no-inspect to disable)', type: 'boolean', default: true },
+        'inspect-port': { describe: 'Loopback port for the traffic inspector', type: 'number', default: 4040 }
+    })
+    .command('tunnels', 'List and manage your tunnels', (tunnels) => tunnels
+        .command('list', 'List your tunnels')
+        .command('info <tunnel>', 'Show details of a tunnel (by ID or subdomain)')
+        .command('rename <tunnel> <name>', 'Change the display name of a tunnel')
+        .command('subdomain <tunnel> <subdomain>', 'Move a tunnel to another subdomain')
+        .command('domain <tunnel> [domain]', 'Serve a tunnel on your own domain', {
+            clear: { describe: 'Remove the custom domain', type: 'boolean' },
+            verify: { describe: 'Check the DNS records of a pending domain again', type: 'boolean' }
+        })
+        .command('access <tunnel>', 'Show or replace the IP allow/deny lists of a tunnel', {
+            'allow-ip': { describe: 'Allowed address or CIDR range (repeatable, replaces the list)', type: 'array', string: true },
+            'deny-ip': { describe: 'Denied address or CIDR range (repeatable, replaces the list)', type: 'array', string: true },
+            clear: { describe: 'Remove both lists', type: 'boolean' }
+        })
+        .command('deactivate <tunnel>', 'Disconnect a tunnel and mark it inactive')
+        .command('delete <tunnel>', 'Delete a tunnel and its analytics', {
+            yes: { describe: 'Do not ask for confirmation', type: 'boolean', alias: 'y' }
+        })
+        .option('server', { describe: 'Tunnel server URL (defaults to the profile\'s)', type: 'string', alias: 's' })
+        .demandCommand(1, 'You must specify a tunnels command'))
+    .command('devices', 'List and revoke the devices signed in to your account', (devices) => devices
+        .command('list', 'List signed-in devices')
+        .command('revoke <device>', 'Sign a device out (by device ID or session ID)', {
+            yes: { describe: 'Do not ask for confirmation', type: 'boolean', alias: 'y' }
+        })
+        .option('server', { describe: 'Tunnel server URL (defaults to the profile\'s)', type: 'string', alias: 's' })
+        .demandCommand(1, 'You must specify a devices command'))
+    .command('subdomains', 'Reserve subdomains so only your tunnels can use them', (subdomains) => subdomains
+        .command('list', 'List your reserved subdomains')
+        .command('reserve <subdomain>', 'Reserve a subdomain')
+        .command('release <subdomain>', 'Give a reserved subdomain back')
+        .option('server', { describe: 'Tunnel server URL (defaults to the profile\'s)', type: 'string', alias: 's' })
+        .demandCommand(1, 'You must specify a subdomains command'))
+    .command('keys', 'Create and revoke API keys for CI and headless machines', (keys) => keys
+        .command('list', 'List your API keys')
+        .command('create <name>', 'Create an API key (shown once)', {
+            subdomain: { describe: 'Only allow this subdomain, or a prefix like pr-* (repeatable)', type: 'array', string: true },
+            expires: { describe: 'Stop working after this long, e.g. 90d', type: 'string', coerce: parseDuration }
+        })
+        .command('revoke <key>', 'Revoke an API key (by ID or name)', {
+            yes: { describe: 'Do not ask for confirmation', type: 'boolean', alias: 'y' }
+        })
+        .option('server', { describe: 'Tunnel server URL (defaults to the profile\'s)', type: 'string', alias: 's' })
+        .demandCommand(1, 'You must specify a keys command'))
     .command('auth', 'Authenticate with the server', {
-        server: { describe: 'Server URL', type: 'string', default: 'http://localhost:3000', alias: 's' }
+        server: { describe: 'Tunnel server URL (defaults to the profile\'s)', type: 'string', alias: 's' },
+        'api-url': { describe: 'Sign-in URL, for servers that don\'t publish one', type: 'string' }
+    })
+    .command('logout', 'Revoke and clear the authentication token of a profile', {
+        all: { describe: 'Log out of every profile', type: 'boolean' }
     })
-    .command('logout', 'Clear authentication token')
-    .command('status', 'Show authentication status')
+    .command('status', 'Show authentication status of every profile')
+    .command('profile', 'Manage server profiles', (profile) => profile
+        .command('add <name>', 'Add a profile for another tunnel server', {
+            server: { describe: 'Tunnel server URL', type: 'string', demandOption: true, alias: 's' },
+            'api-url': { describe: 'Sign-in URL, for servers that don\'t publish one', type: 'string' },
+            use: { describe: 'Make it the current profile', type: 'boolean' }
+        })
+        .command('use <name>', 'Use a profile when --profile is not given')
+        .command('remove <name>', 'Delete a profile and its token')
+        .demandCommand(1, 'You must specify a profile command'))
+    .option('profile', { describe: 'Server profile to use', type: 'string', default: process.env.GHOSTGATE_PROFILE, defaultDescription: '$GHOSTGATE_PROFILE or the current profile' })
     .help()
     .alias('help', 'h')
     .version()
@@ -190,22 +780,83 @@ const command = argv._[0];
 (async () => {
     try {
         switch (command) {
-            case 'expose':
-                console.log(`🚀 Starting tunnel: localhost:${argv.port} → ${argv.name}`);
-                const token = await getToken(argv.server);
+            case 'expose': {
+                const upstreamOptions = { insecure: argv.insecure, caFile: argv.caFile, hostHeader: argv.hostHeader };
+                const main = argv.upstream || argv.port;
+                if (!main && !argv.route) {
+                    console.error('❌ Specify the local --port to expose, an --upstream URL or --route entries');
+                    process.exit(1);
+                }
+                // --port/--upstream become the catch-all route next to any --route entries
+                const target = argv.route ?
+                    createRouter(main ? [...argv.route, { path: '/', target: main }] : argv.route, upstreamOptions) :
+                    main;
+                console.log(`🚀 Starting tunnel: ${target.label || argv.upstream || `localhost:${argv.port}`} → ${argv.name}`);
+                const { profile, tunnelUrl } = await connectProfile(argv);
+                const token = await getAgentToken(profile, argv);
+                console.log('🔗 Establishing tunnel connection...');
+                await runAgent(target, tunnelUrl, argv.name, token, {
+                    ...upstreamOptions,
+                    maxConcurrency: argv.maxConcurrency,
+                    requestTimeout: argv.timeout,
+                    ...accessOptions(argv),
+                    inspector: argv.inspect ? createInspector({ port: argv.inspectPort }) : undefined
+                });
+                break;
+            }
+            case 'tcp': {
+                console.log(`🚀 Starting TCP tunnel: localhost:${argv.port} → ${argv.name}`);
+                const { profile, discovery, tunnelUrl } = await connectProfile(argv);
+                if (discovery && !discovery.protocols?.includes('tcp')) {
+                    console.error(`❌ ${profile.server} does not offer TCP tunnels`);
+                    process.exit(1);
+                }
+                const token = await getAgentToken(profile, argv);
                 console.log('🔗 Establishing tunnel connection...');
-                startAgent(argv.port, argv.server, argv.name, token);
+                await runAgent(argv.port, tunnelUrl, argv.name, token, { protocol: 'tcp', ipAllow: argv.allowIp, ipDeny: argv.denyIp });
+                break;
+            }
+            case 'serve': {
+                const site = createStaticSite(argv.dir, { spa: argv.spa, listing: argv.listing });
+                console.log(`🚀 Serving ${site.label} → ${argv.name}`);
+                const { profile, tunnelUrl } = await connectProfile(argv);
+                const token = await getAgentToken(profile, argv);
+                console.log('🔗 Establishing tunnel connection...');
+                await runAgent(site, tunnelUrl, argv.name, token, {
+                    description: `Files from ${path.basename(site.label)}`,
+                    ...accessOptions(argv),
+                    inspector: argv.inspect ? createInspector({ port: argv.inspectPort }) : undefined
+                });
+                break;
+            }
+            case 'start':
+                await runConfig(argv.config, argv, argv.inspect ? createInspector({ port: argv.inspectPort }) : undefined);
+                break;
+            case 'tunnels':
+                await manageTunnels(argv._[1], argv);
+                break;
+            case 'devices':
+                await manageDevices(argv._[1], argv);
+                break;
+            case 'keys':
+                await manageKeys(argv._[1], argv);
+                break;
+            case 'subdomains':
+                await manageSubdomains(argv._[1], argv);
                 break;
             case 'auth':
-                await authenticate(argv.server);
+                await authenticate((await connectProfile(argv)).profile);
                 console.log('🎉 Authentication complete!');
                 break;
             case 'logout':
-                logout();
+                await logout(argv);
                 break;
             case 'status':
                 showStatus();
                 break;
+            case 'profile':
+                await manageProfiles(argv._[1], argv);
+                break;
             default:
                 console.error('❌ Unknown command:', command);
                 process.exit(1);
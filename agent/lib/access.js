@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+
+/**
+ * Validate a `user:password` pair for --basic-auth
+ * @param {string} value
+ * @returns {string} The same value
+ */
+export function parseBasicAuth(value) {
+  const text = String(value);
+  const separator = text.indexOf(':');
+  if (separator < 1 || separator === text.length - 1) {
+    throw new Error('Basic auth must look like user:password');
+  }
+  return text;
+}
+
+/**
+ * Random bearer token for --require-token without a value
+ * @returns {string}
+ */
+export function generateAccessToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * One-line description of how visitors get in, never including secrets
+ * @param {{ basicAuth?: string, requireToken?: string }} options
+ * @returns {?string}
+ */
+export function describeProtection({ basicAuth, requireToken }) {
+  const parts = [];
+  if (basicAuth) parts.push(`password (user "${basicAuth.slice(0, basicAuth.indexOf(':'))}")`);
+  if (requireToken) parts.push('bearer token');
+  return parts.length ? parts.join(' or ') : null;
+}
@@ -1,31 +1,271 @@
 import WebSocket from 'ws';
-import axios from 'axios';
 import chalk from 'chalk';
+import net from 'net';
+import { PassThrough } from 'stream';
+import { FRAME_DATA, FRAME_WS_TEXT, FRAME_WS_BINARY, FRAME_TCP_DATA, encodeFrame, decodeFrame, relayableCloseCode, sendFrame, createFlowControl, stripHopByHopHeaders } from './protocol.js';
+import { createUpstream } from './upstream.js';
+import { describeProtection } from './access.js';
+
+// Close codes after which reconnecting cannot help
+// (4001: authentication failed, 4002: another agent took over this tunnel ID,
+// 4003: the server refused to register the tunnel, 4004: the tunnel was
+// deactivated or deleted by its owner). The same codes come with
+// `tunnel-closed` when the server stops one tunnel of a shared connection.
+// Temporary server failures use other codes (1011, 1013) and are retried.
+const FATAL_CLOSE_CODES = new Set([4001, 4002, 4003, 4004]);
+
+// Used until the server's `welcome` says otherwise
+const DEFAULT_HEARTBEAT = { interval: 30000, maxMissed: 2 };
+
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
 
 /**
- * Connects to tunnel server and handles forwarding logic
- * @param {number} localPort - The local service port to expose
+ * Exponential backoff with jitter: 1s, 2s, 4s... capped at 30s, each
+ * randomised down to half so agents don't reconnect in lockstep
+ * @param {number} attempt - Reconnect attempt number, starting at 1
+ */
+function reconnectDelay(attempt) {
+  const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Connects to tunnel server and handles forwarding logic.
+ * Reconnects with backoff when the connection drops, registering again with
+ * the same agentId, token and assigned subdomain.
+ * @param {number|string|Object} target - Local port to expose, an upstream URL (e.g. https://192.168.1.20:8443),
+ *   a site from createStaticSite() to answer requests from a directory, or a createRouter() route table
  * @param {string} tunnelServerUrl - The public tunnel server WebSocket URL
  * @param {string} agentId - Unique ID or name of the agent (e.g., "pratik050403")
+ * @param {string} token - Authentication token sent with `register`
+ * @param {Object} [options]
+ * @param {'http'|'tcp'} [options.protocol='http'] - Forward HTTP requests or raw TCP connections
+ * @param {number} [options.maxConcurrency] - Ask the server to keep at most this many requests in flight
+ * @param {number} [options.requestTimeout] - Per-request timeout in ms (the server caps it)
+ * @param {string} [options.tunnelName] - Display name stored on the tunnel
+ * @param {string} [options.subdomain] - Requested subdomain (defaults to agentId)
+ * @param {string} [options.description] - Description stored on the tunnel
+ * @param {Function} [options.onRegistered] - Called with the `registered` tunnel info after each registration
+ * @param {Object} [options.inspector] - Inspector from createInspector() that records forwarded requests
+ * @param {boolean} [options.insecure] - Skip TLS verification for an https upstream
+ * @param {string} [options.caFile] - Extra CA (PEM file) to trust for an https upstream
+ * @param {string} [options.hostHeader] - "rewrite" (default) to send the upstream's host, "preserve" to
+ *   keep the public host, or a literal Host header
+ * @param {string} [options.basicAuth] - "user:password" visitors must log in with (enforced by the server)
+ * @param {string} [options.requireToken] - Bearer token visitors must send (enforced by the server)
+ * @param {string[]} [options.ipAllow] - Addresses or CIDR ranges visitors must come from (replaces the stored list)
+ * @param {string[]} [options.ipDeny] - Addresses or CIDR ranges to turn away (replaces the stored list)
+ * @param {string} [options.rateLimit] - Most requests the tunnel takes, e.g. "600/m" (the server may be stricter)
+ * @param {string} [options.ipRateLimit] - Most requests per visitor IP, e.g. "60/m"
+ * @returns {Promise<{ code: number, reason: string, error: ?string }>} Resolves once the
+ *   server closes the connection with a fatal code, with the last server error message
  */
-export function startAgent(localPort, tunnelServerUrl, agentId, token) {
-  const ws = new WebSocket(tunnelServerUrl);
+export function startAgent(target, tunnelServerUrl, agentId, token, options = {}) {
+  return startAgents(tunnelServerUrl, token, [{ target, agentId, options }])[0];
+}
+
+/**
+ * Serve several tunnels over one connection to the tunnel server. Each one
+ * registers with its own settings and is stopped on its own (refused, taken
+ * over, deactivated); after a reconnect the ones still running register again.
+ * @param {string} tunnelServerUrl - The public tunnel server WebSocket URL
+ * @param {string} token - Authentication token sent with every `register`
+ * @param {Array<{ target: number|string|Object, agentId: string, options?: Object }>} tunnelList -
+ *   The target, agentId and options startAgent() takes, for each tunnel
+ * @returns {Array<Promise<{ code: number, reason: string, error: ?string }>>} One per tunnel,
+ *   resolving once the server stops that tunnel for good
+ */
+export function startAgents(tunnelServerUrl, token, tunnelList) {
+  // Running tunnels: agentId → { agentId, options, protocol, upstream, assignedSubdomain, lastServerError, stop }
+  const tunnels = new Map();
+  const stops = tunnelList.map(({ target, agentId, options = {} }) => new Promise((resolve) => {
+    tunnels.set(agentId, {
+      agentId,
+      options,
+      protocol: options.protocol || 'http',
+      upstream: typeof target === 'object' ? target : createUpstream(target, options),
+      // Subdomain the server assigned on first registration, kept across reconnects
+      assignedSubdomain: null,
+      // Last `error` message from the server about this tunnel, reported when it stops
+      lastServerError: null,
+      stop: resolve,
+    });
+  }));
+  // Last `error` message from the server about the whole connection
+  let lastServerError = null;
+  let ws = null;
+  let reconnectAttempt = 0;
+  let isConnected = false;
+  let heartbeatTimer = null;
+  let missedHeartbeats = 0;
+  // In-flight requests: request id → { tunnelId, body, controller, capture, flow }
+  const inflight = new Map();
+  // Relayed WebSockets: socket id → { tunnelId, local }
+  const sockets = new Map();
+  // Relayed TCP connections: connection id → { tunnelId, socket, flow, paused }
+  const connections = new Map();
+
+  const send = (message) => {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(typeof message === 'string' || Buffer.isBuffer(message) ? message : JSON.stringify(message));
+    }
+  };
 
-  ws.on('open', () => {
+  connect();
+  return stops;
+
+  function connect() {
+    ws = new WebSocket(tunnelServerUrl);
+    ws.on('open', handleOpen);
+    ws.on('message', handleMessage);
+    ws.on('pong', () => {
+      missedHeartbeats = 0;
+    });
+    ws.on('close', handleClose);
+    ws.on('error', (err) => {
+      console.error(chalk.red(`[x] WebSocket error: ${err.message}`));
+    });
+  }
+
+  function handleOpen() {
+    isConnected = true;
     console.log(chalk.green(`[✓] Connected to tunnel server at ${tunnelServerUrl}`));
-    const cleanToken = token.trim();
-    console.log("token is :", cleanToken);
+    for (const tunnel of tunnels.values()) {
+      register(tunnel);
+    }
+  }
+
+  function register(tunnel) {
+    const { agentId, options, upstream } = tunnel;
     // 👇 Register using agentId
-    ws.send(JSON.stringify({
+    send({
       type: 'register',
       agentId,
-      token: cleanToken
-    }));
+      // Tunnel-level refusals come as `tunnel-closed` instead of closing the connection
+      multiplex: true,
+      token: token.trim(),
+      tunnelName: options.tunnelName,
+      subdomain: tunnel.assignedSubdomain || options.subdomain,
+      description: options.description,
+      localPort: upstream.port,
+      routes: upstream.routes,
+      protocol: tunnel.protocol,
+      maxConcurrency: options.maxConcurrency,
+      requestTimeout: options.requestTimeout,
+      basicAuth: options.basicAuth,
+      requireToken: options.requireToken,
+      ipAllow: options.ipAllow,
+      ipDeny: options.ipDeny,
+      rateLimit: options.rateLimit,
+      ipRateLimit: options.ipRateLimit
+    });
 
-    console.log(chalk.blue(`[~] Registered as: ${agentId}`));
-  });
+    console.log(chalk.blue(`[~] Registering as: ${agentId}`));
+  }
+
+  // Tunnel a server message is about. Servers that serve one tunnel per
+  // connection don't name it.
+  function tunnelFor(msg) {
+    if (msg.tunnelId !== undefined) {
+      return tunnels.get(msg.tunnelId);
+    }
+    return tunnels.size === 1 ? tunnels.values().next().value : undefined;
+  }
+
+  // The server stopped a tunnel for good; the connection stays up for the
+  // others and is closed once none are left
+  function stopTunnel(tunnel, { code, reason }) {
+    tunnels.delete(tunnel.agentId);
+    dropStreams(tunnel.agentId, 'Tunnel closed by the tunnel server');
+    tunnel.stop({ code, reason, error: tunnel.lastServerError || lastServerError });
+    if (tunnels.size === 0) {
+      ws.close(1000, 'No tunnels left');
+    }
+  }
+
+  // Abort requests, local WebSockets and TCP connections of one tunnel (or of all)
+  function dropStreams(tunnelId, message) {
+    for (const [id, entry] of inflight) {
+      if (tunnelId !== undefined && entry.tunnelId !== tunnelId) continue;
+      inflight.delete(id);
+      entry.controller.abort();
+      if (entry.body) entry.body.destroy();
+      entry.capture?.finish(message);
+    }
+    for (const [id, entry] of sockets) {
+      if (tunnelId !== undefined && entry.tunnelId !== tunnelId) continue;
+      sockets.delete(id);
+      entry.local.terminate();
+    }
+    for (const [id, connection] of connections) {
+      if (tunnelId !== undefined && connection.tunnelId !== tunnelId) continue;
+      connections.delete(id);
+      connection.socket.destroy();
+    }
+  }
+
+  // Ping the server every interval; a server that stays silent for maxMissed
+  // intervals is treated as gone and the connection is dropped to reconnect
+  function startHeartbeat({ interval, maxMissed } = DEFAULT_HEARTBEAT) {
+    clearInterval(heartbeatTimer);
+    missedHeartbeats = 0;
+    heartbeatTimer = setInterval(() => {
+      if (missedHeartbeats >= maxMissed) {
+        console.log(chalk.yellow(`[!] Tunnel server missed ${missedHeartbeats} heartbeats`));
+        ws.terminate();
+        return;
+      }
+      missedHeartbeats++;
+      send({ type: 'ping', timestamp: Date.now() });
+    }, interval);
+  }
+
+  async function handleMessage(data, isBinary) {
+    missedHeartbeats = 0;
+
+    // Binary frames carry request bodies, relayed WebSocket messages and TCP bytes
+    if (isBinary) {
+      const frame = decodeFrame(data);
+      if (!frame) return;
+
+      if (frame.kind === FRAME_DATA) {
+        const entry = inflight.get(frame.id);
+        if (entry && entry.body) {
+          // Slow local app: have the server stop reading the visitor's upload
+          // until the body stream drains, instead of buffering all of it here
+          if (!entry.body.write(frame.payload) && !entry.bodyPaused) {
+            entry.bodyPaused = true;
+            send({ type: 'pause', id: frame.id });
+            entry.body.once('drain', () => {
+              entry.bodyPaused = false;
+              send({ type: 'resume', id: frame.id });
+            });
+          }
+          entry.capture?.addRequestBody(frame.payload);
+        }
+      } else if (frame.kind === FRAME_WS_TEXT || frame.kind === FRAME_WS_BINARY) {
+        const local = sockets.get(frame.id)?.local;
+        if (local && local.readyState === WebSocket.OPEN) {
+          local.send(frame.payload, { binary: frame.kind === FRAME_WS_BINARY });
+        }
+      } else if (frame.kind === FRAME_TCP_DATA) {
+        const connection = connections.get(frame.id);
+        // Same as request bodies: a slow local peer pauses the public side
+        if (connection && !connection.socket.write(frame.payload) && !connection.paused) {
+          connection.paused = true;
+          send({ type: 'pause', id: frame.id });
+          connection.socket.once('drain', () => {
+            connection.paused = false;
+            if (connections.get(frame.id) === connection) {
+              send({ type: 'resume', id: frame.id });
+            }
+          });
+        }
+      }
+      return;
+    }
 
-  ws.on('message', async (data) => {
     let msg;
     try {
       msg = JSON.parse(data);
@@ -34,43 +274,302 @@ export function startAgent(localPort, tunnelServerUrl, agentId, token) {
       return;
     }
 
-    if (msg.type === 'request') {
-      const { id, method, headers, path, body } = msg;
+    if (msg.type === 'welcome') {
+      startHeartbeat({ ...DEFAULT_HEARTBEAT, ...msg.heartbeat });
+    }
+
+    else if (msg.type === 'registered') {
+      const tunnel = tunnelFor(msg);
+      if (!tunnel) return;
+      const { options, upstream } = tunnel;
+      const info = msg.tunnel || {};
+      const requested = options.subdomain || tunnel.agentId;
+      if (!tunnel.assignedSubdomain && info.subdomain && info.subdomain !== requested) {
+        console.log(chalk.yellow(`[!] Using the tunnel's saved subdomain "${info.subdomain}" instead of "${requested}"`));
+      }
+      tunnel.assignedSubdomain = info.subdomain || tunnel.assignedSubdomain;
+      reconnectAttempt = 0;
+      tunnel.lastServerError = null;
+      lastServerError = null;
+      console.log(chalk.green(`[✓] Tunnel online: ${chalk.bold(info.url)} → ${upstream.label}`));
+      const protection = describeProtection(options);
+      if (protection) {
+        console.log(chalk.green(`[🔒] Visitors must authenticate with a ${protection}`));
+      }
+      if (info.ipAllow?.length) {
+        console.log(chalk.green(`[🔒] Only reachable from ${info.ipAllow.join(', ')}`));
+      }
+      if (options.onRegistered) {
+        options.onRegistered(info);
+      }
+    }
+
+    // The owner changed the subdomain through the API while we are connected
+    else if (msg.type === 'tunnel-updated') {
+      const tunnel = tunnelFor(msg);
+      if (!tunnel) return;
+      const info = msg.tunnel || {};
+      tunnel.assignedSubdomain = info.subdomain || tunnel.assignedSubdomain;
+      console.log(chalk.green(`[✓] Tunnel moved: ${chalk.bold(info.url)} → ${tunnel.upstream.label}`));
+    }
+
+    else if (msg.type === 'error') {
+      const message = msg.error ? `${msg.message}: ${msg.error}` : msg.message;
+      const tunnel = msg.tunnelId !== undefined ? tunnels.get(msg.tunnelId) : null;
+      if (tunnel) {
+        tunnel.lastServerError = message;
+        console.error(chalk.red(`[x] Server error (${tunnel.agentId}): ${message}`));
+      } else {
+        lastServerError = message;
+        console.error(chalk.red(`[x] Server error: ${message}`));
+      }
+    }
+
+    // The server stopped one tunnel (refused, taken over, deactivated) and
+    // keeps serving the others on this connection
+    else if (msg.type === 'tunnel-closed') {
+      const tunnel = tunnelFor(msg);
+      if (tunnel) {
+        console.log(chalk.yellow(`[!] Tunnel ${tunnel.agentId} closed by the server: ${msg.reason || msg.code}`));
+        stopTunnel(tunnel, { code: msg.code, reason: msg.reason || '' });
+      }
+    }
+
+    else if (msg.type === 'request') {
+      const { id, method, path, timeout } = msg;
+      const tunnel = tunnelFor(msg);
+      if (!tunnel) {
+        send({ type: 'abort', id, error: 'Unknown tunnel' });
+        return;
+      }
+      const { upstream } = tunnel;
+      const headers = stripHopByHopHeaders(msg.headers);
+      const controller = new AbortController();
+      // Only stream a body when the visitor actually sent one (older servers
+      // don't send hasBody but still pass transfer-encoding through)
+      const hasBody = msg.hasBody ?? (msg.headers && (msg.headers['transfer-encoding'] || Number(msg.headers['content-length']) > 0));
+      const body = hasBody ? new PassThrough() : null;
+      const capture = tunnel.options.inspector?.begin({ tunnel: tunnel.agentId, upstream, method, path, headers, timeout });
+      inflight.set(id, { tunnelId: tunnel.agentId, body, controller, capture });
+
+      // Same deadline as the server: give up if the local app hasn't answered by then
+      let timedOut = false;
+      const deadline = timeout && setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
 
       try {
-        const response = await axios({
-          url: `http://localhost:${localPort}${path}`,
+        const response = await upstream.request({
           method,
+          path,
           headers,
-          data: body,
-          validateStatus: () => true,
+          data: body || undefined,
+          signal: controller.signal,
         });
+        clearTimeout(deadline);
 
-        ws.send(JSON.stringify({
+        const entry = inflight.get(id);
+        if (!entry) {
+          response.data.destroy();
+          return;
+        }
+        entry.flow = createFlowControl(response.data);
+
+        const responseHeaders = stripHopByHopHeaders(response.headers);
+        send({
           type: 'response',
           id,
           statusCode: response.status,
-          headers: response.headers,
-          body: response.data,
-        }));
+          headers: responseHeaders,
+        });
+        capture?.respond(response.status, responseHeaders);
+
+        response.data.on('data', (chunk) => {
+          sendFrame(ws, encodeFrame(FRAME_DATA, id, chunk), entry.flow);
+          capture?.addResponseBody(chunk);
+        });
+        response.data.on('end', () => {
+          inflight.delete(id);
+          send({ type: 'response-end', id });
+          capture?.finish();
+        });
+        response.data.on('error', (err) => {
+          if (!inflight.delete(id)) return;
+          console.error(chalk.red(`[x] Response stream error: ${err.message}`));
+          send({ type: 'abort', id, error: err.message });
+          capture?.finish(err.message);
+        });
       } catch (err) {
-        console.error(chalk.red(`[x] Request error: ${err.message}`));
-        ws.send(JSON.stringify({
+        clearTimeout(deadline);
+        if (!inflight.delete(id)) return;
+        const message = timedOut ? `Local server did not respond within ${timeout}ms` : err.message;
+        console.error(chalk.red(`[x] Request error: ${message}`));
+        send({
           type: 'response',
           id,
-          statusCode: 500,
-          headers: {},
-          body: err.message,
-        }));
+          statusCode: timedOut ? 504 : 500,
+          headers: { 'content-type': 'text/plain; charset=utf-8' },
+        });
+        send(encodeFrame(FRAME_DATA, id, Buffer.from(message)));
+        send({ type: 'response-end', id });
+        capture?.respond(timedOut ? 504 : 500, { 'content-type': 'text/plain; charset=utf-8' });
+        capture?.addResponseBody(Buffer.from(message));
+        capture?.finish(message);
+      }
+    }
+
+    else if (msg.type === 'request-end') {
+      const entry = inflight.get(msg.id);
+      if (entry && entry.body) {
+        entry.body.end();
+      }
+    }
+
+    // The server gave up on this request (visitor left, timeout...)
+    else if (msg.type === 'abort') {
+      const entry = inflight.get(msg.id);
+      if (entry) {
+        inflight.delete(msg.id);
+        entry.controller.abort();
+        if (entry.body) entry.body.destroy();
+        entry.capture?.finish('Aborted by the tunnel server');
+      }
+    }
+
+    // The server can't pass a response (or TCP bytes) on as fast as we send it
+    else if (msg.type === 'pause' || msg.type === 'resume') {
+      const flow = inflight.get(msg.id)?.flow || connections.get(msg.id)?.flow;
+      flow?.setPausedByPeer(msg.type === 'pause');
+    }
+
+    // Someone connected to the public TCP port: connect to the local port
+    else if (msg.type === 'tcp-open') {
+      const tunnel = tunnelFor(msg);
+      if (tunnel) {
+        openLocalConnection(tunnel, msg.id);
+      } else {
+        send({ type: 'tcp-close', id: msg.id });
+      }
+    }
+
+    else if (msg.type === 'tcp-close') {
+      const connection = connections.get(msg.id);
+      if (connection) {
+        connections.delete(msg.id);
+        connection.socket.end();
+      }
+    }
+
+    // A visitor opened a WebSocket on the tunnel URL: open the local side
+    else if (msg.type === 'ws-open') {
+      const tunnel = tunnelFor(msg);
+      if (tunnel) {
+        openLocalSocket(tunnel, msg);
+      } else {
+        send({ type: 'ws-error', id: msg.id, statusCode: 404, error: 'Unknown tunnel' });
+      }
+    }
+
+    else if (msg.type === 'ws-close') {
+      const local = sockets.get(msg.id)?.local;
+      if (local) {
+        sockets.delete(msg.id);
+        if (local.readyState === WebSocket.CONNECTING) {
+          local.terminate();
+        } else {
+          local.close(relayableCloseCode(msg.code), msg.reason || '');
+        }
       }
     }
-  });
+  }
+
+  function openLocalConnection(tunnel, id) {
+    const { upstream } = tunnel;
+    const connection = net.connect({ port: upstream.port, host: upstream.hostname });
+    const flow = createFlowControl(connection);
+    connections.set(id, { tunnelId: tunnel.agentId, socket: connection, flow, paused: false });
+
+    connection.on('connect', () => {
+      console.log(chalk.blue(`[~] TCP connection opened (${connections.size} active)`));
+    });
+
+    connection.on('data', (chunk) => {
+      sendFrame(ws, encodeFrame(FRAME_TCP_DATA, id, chunk), flow);
+    });
+
+    connection.on('close', () => {
+      if (connections.delete(id)) {
+        send({ type: 'tcp-close', id });
+      }
+    });
+
+    connection.on('error', (err) => {
+      console.error(chalk.red(`[x] Local TCP error: ${err.message}`));
+    });
+  }
+
+  function openLocalSocket(tunnel, { id, path, headers, protocols }) {
+    const target = tunnel.upstream.webSocket(path, headers);
+    if (!target) {
+      send({ type: 'ws-error', id, statusCode: 404, error: 'No WebSocket endpoint for this path' });
+      return;
+    }
+
+    const local = new WebSocket(target.url, protocols || [], target.options);
+    sockets.set(id, { tunnelId: tunnel.agentId, local });
+
+    local.on('open', () => {
+      console.log(chalk.blue(`[~] WebSocket opened: ${path}`));
+      send({ type: 'ws-opened', id, protocol: local.protocol || undefined });
+    });
 
-  ws.on('close', () => {
-    console.log(chalk.yellow('[!] Disconnected from tunnel server'));
-  });
+    local.on('unexpected-response', (req, res) => {
+      sockets.delete(id);
+      send({ type: 'ws-error', id, statusCode: res.statusCode, error: `Local server responded with ${res.statusCode}` });
+      req.destroy();
+    });
+
+    local.on('message', (data, isBinary) => {
+      sendFrame(ws, encodeFrame(isBinary ? FRAME_WS_BINARY : FRAME_WS_TEXT, id, data), local);
+    });
+
+    local.on('close', (code, reason) => {
+      if (sockets.delete(id)) {
+        send({ type: 'ws-close', id, code, reason: reason.toString() });
+      }
+    });
+
+    local.on('error', (err) => {
+      console.error(chalk.red(`[x] Local WebSocket error: ${err.message}`));
+      if (local.readyState !== WebSocket.OPEN && sockets.delete(id)) {
+        send({ type: 'ws-error', id, statusCode: 502, error: err.message });
+      }
+    });
+  }
+
+  function handleClose(code, reason) {
+    clearInterval(heartbeatTimer);
+    if (isConnected) {
+      console.log(chalk.yellow('[!] Disconnected from tunnel server'));
+      isConnected = false;
+    }
+    dropStreams(undefined, 'Disconnected from tunnel server');
+
+    // Closed by us once the last tunnel stopped
+    if (tunnels.size === 0) return;
+
+    if (FATAL_CLOSE_CODES.has(code)) {
+      for (const tunnel of tunnels.values()) {
+        tunnel.stop({ code, reason: reason.toString(), error: tunnel.lastServerError || lastServerError });
+      }
+      tunnels.clear();
+      return;
+    }
 
-  ws.on('error', (err) => {
-    console.error(chalk.red(`[x] WebSocket error: ${err.message}`));
-  });
-}
\ No newline at end of file
+    reconnectAttempt++;
+    const delay = reconnectDelay(reconnectAttempt);
+    console.log(chalk.yellow(`[~] Reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${reconnectAttempt})...`));
+    setTimeout(connect, delay);
+  }
+}
@@ -0,0 +1,119 @@
+import fetch from 'node-fetch';
+
+/**
+ * HTTP(S) base URL of a tunnel server given by its WebSocket URL
+ * (ws://host:8080 → http://host:8080, wss:// → https://)
+ * @param {string} tunnelServerUrl
+ * @returns {string}
+ */
+export function tunnelServerHttpUrl(tunnelServerUrl) {
+  const url = new URL(tunnelServerUrl);
+  if (url.protocol === 'ws:') url.protocol = 'http:';
+  if (url.protocol === 'wss:') url.protocol = 'https:';
+  return url.origin;
+}
+
+/**
+ * JSON request function for one of the tunnel server's management APIs
+ * @param {string} baseUrl - API root, e.g. http://host:8080/api/tunnels
+ * @param {string} token - Authentication token
+ */
+function createRequester(baseUrl, token) {
+  return async function request(method, path = '', body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token.trim()}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const text = await response.text();
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = { message: text };
+    }
+
+    if (!response.ok) {
+      const error = new Error(data.message || data.error || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      error.code = data.code;
+      throw error;
+    }
+    return data;
+  };
+}
+
+/**
+ * Client for the tunnel server's management API (`/api/tunnels`), authenticated
+ * with the same token the agent registers with
+ * @param {string} tunnelServerUrl - Tunnel server WebSocket (or HTTP) URL
+ * @param {string} token - Authentication token
+ */
+export function createTunnelApi(tunnelServerUrl, token) {
+  const request = createRequester(`${tunnelServerHttpUrl(tunnelServerUrl)}/api/tunnels`, token);
+  const tunnelPath = (tunnel) => `/${encodeURIComponent(tunnel)}`;
+
+  return {
+    list: async () => (await request('GET')).tunnels,
+    get: async (tunnel) => (await request('GET', tunnelPath(tunnel))).tunnel,
+    update: async (tunnel, changes) => (await request('PATCH', tunnelPath(tunnel), changes)).tunnel,
+    // Checks DNS again for a pending custom domain; 409 domain_not_verified until it's there
+    verifyDomain: async (tunnel) => (await request('POST', `${tunnelPath(tunnel)}/domain/verify`)).tunnel,
+    deactivate: (tunnel) => request('POST', `${tunnelPath(tunnel)}/deactivate`),
+    remove: (tunnel) => request('DELETE', tunnelPath(tunnel)),
+  };
+}
+
+/**
+ * Client for the signed-in devices API (`/api/devices`). Each `ghostgate auth`
+ * is one device session; revoking it invalidates that token.
+ * @param {string} tunnelServerUrl - Tunnel server WebSocket (or HTTP) URL
+ * @param {string} token - Authentication token
+ */
+export function createDeviceApi(tunnelServerUrl, token) {
+  const request = createRequester(`${tunnelServerHttpUrl(tunnelServerUrl)}/api/devices`, token);
+
+  return {
+    list: async () => (await request('GET')).devices,
+    // By session ID or device ID; 'current' is the session of this token
+    revoke: (device) => request('DELETE', `/${encodeURIComponent(device)}`),
+  };
+}
+
+/**
+ * Client for the API keys API (`/api/keys`): long-lived keys for CI and
+ * headless machines. Needs a signed-in token; API keys can't manage keys.
+ * @param {string} tunnelServerUrl - Tunnel server WebSocket (or HTTP) URL
+ * @param {string} token - Authentication token
+ */
+export function createKeyApi(tunnelServerUrl, token) {
+  const request = createRequester(`${tunnelServerHttpUrl(tunnelServerUrl)}/api/keys`, token);
+
+  return {
+    list: async () => (await request('GET')).keys,
+    // Resolves to { key, secret }; the secret is not shown again
+    create: (options) => request('POST', '', options),
+    // By key ID or name
+    revoke: (key) => request('DELETE', `/${encodeURIComponent(key)}`),
+  };
+}
+
+/**
+ * Client for the reserved subdomains API (`/api/subdomains`): names only your
+ * tunnels can use, even while none of them is connected
+ * @param {string} tunnelServerUrl - Tunnel server WebSocket (or HTTP) URL
+ * @param {string} token - Authentication token
+ */
+export function createSubdomainApi(tunnelServerUrl, token) {
+  const request = createRequester(`${tunnelServerHttpUrl(tunnelServerUrl)}/api/subdomains`, token);
+
+  return {
+    list: async () => (await request('GET')).subdomains,
+    reserve: async (subdomain) => (await request('POST', '', { subdomain })).subdomain,
+    release: (subdomain) => request('DELETE', `/${encodeURIComponent(subdomain)}`),
+  };
+}
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { parseBasicAuth } from './access.js';
+
+// Looked up in the current directory when `ghostgate start` gets no --config
+export const DEFAULT_CONFIG_FILES = ['ghostgate.yml', 'ghostgate.yaml'];
+
+/**
+ * Parse a duration like "60s", "2m", "500ms", "90d" or a bare number of seconds into milliseconds
+ * @param {string|number} value
+ * @returns {number}
+ */
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!match) {
+    throw new Error(`Invalid duration: "${value}" (use e.g. 30s, 2m, 1500ms)`);
+  }
+  const multipliers = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return Math.round(parseFloat(match[1]) * multipliers[(match[2] || 's').toLowerCase()]);
+}
+
+/**
+ * Find the project config file, either the given path or a default name in cwd
+ * @param {string} [configPath]
+ * @returns {string} Absolute path to the config file
+ */
+export function findConfigFile(configPath) {
+  if (configPath) {
+    const resolved = path.resolve(configPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  for (const name of DEFAULT_CONFIG_FILES) {
+    const candidate = path.resolve(name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  throw new Error(`No config file found (looked for ${DEFAULT_CONFIG_FILES.join(', ')})`);
+}
+
+/**
+ * Load and validate a multi-tunnel config file:
+ *
+ *   server: ws://localhost:8080        # optional
+ *   tunnels:
+ *     frontend:
+ *       port: 3000
+ *       subdomain: myapp               # optional, also the tunnel ID
+ *       description: Web frontend      # optional
+ *       timeout: 30s                   # optional
+ *       maxConcurrency: 10             # optional
+ *     app:
+ *       port: 3000                     # catch-all route
+ *       routes:                        # optional, path prefix → port or upstream
+ *         - path: /api
+ *           port: 4000
+ *           stripPrefix: true          # optional, send /api/users as /users
+ *     admin:
+ *       upstream: https://192.168.1.20:8443  # instead of port
+ *       insecure: true                 # optional, skip TLS verification
+ *       caFile: ./dev-ca.pem           # optional, CA to trust
+ *       hostHeader: preserve           # optional, "rewrite" (default), "preserve" or a hostname
+ *       basicAuth: admin:s3cret        # optional, visitors must log in
+ *       requireToken: long-random-token  # optional, visitors must send it as a bearer token
+ *       ipAllow: [10.8.0.0/16]         # optional, only these addresses or CIDR ranges get in
+ *       ipDeny: [10.8.0.13]            # optional, these are always turned away
+ *       rateLimit: 600/m               # optional, requests per s, m or h for the whole tunnel
+ *       ipRateLimit: 60/m              # optional, the same per visitor IP
+ *     db:
+ *       port: 5432
+ *       protocol: tcp
+ *
+ * @param {string} filePath
+ * @returns {{ server: ?string, tunnels: Array<Object> }}
+ */
+export function loadConfig(filePath) {
+  let raw;
+  try {
+    raw = YAML.parse(fs.readFileSync(filePath, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Failed to read ${path.basename(filePath)}: ${error.message}`);
+  }
+
+  if (!raw.tunnels || typeof raw.tunnels !== 'object' || Array.isArray(raw.tunnels)) {
+    throw new Error(`${path.basename(filePath)} must define a "tunnels" map of name → options`);
+  }
+
+  const tunnels = Object.entries(raw.tunnels).map(([name, options]) => normalizeTunnel(name, options || {}, filePath));
+  if (tunnels.length === 0) {
+    throw new Error(`${path.basename(filePath)} does not list any tunnels`);
+  }
+
+  const ids = new Set();
+  for (const tunnel of tunnels) {
+    if (ids.has(tunnel.id)) {
+      throw new Error(`Tunnel ID "${tunnel.id}" is used more than once`);
+    }
+    ids.add(tunnel.id);
+  }
+
+  return { server: raw.server || null, tunnels };
+}
+
+function normalizeTunnel(name, options, configFile) {
+  const upstream = options.upstream ? String(options.upstream) : undefined;
+  const routes = options.routes !== undefined ? normalizeRoutes(name, options.routes) : undefined;
+  const port = (upstream || routes) && options.port === undefined ? undefined : Number(options.port);
+  if (port !== undefined && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+    throw new Error(`Tunnel "${name}": "port" must be a number between 1 and 65535 (or set "upstream" or "routes")`);
+  }
+
+  const protocol = options.protocol || 'http';
+  if (!['http', 'tcp'].includes(protocol)) {
+    throw new Error(`Tunnel "${name}": unknown protocol "${protocol}" (use http or tcp)`);
+  }
+
+  if (options.requireToken !== undefined && String(options.requireToken).trim() === '') {
+    throw new Error(`Tunnel "${name}": "requireToken" must not be empty`);
+  }
+
+  return {
+    name,
+    id: String(options.id || options.subdomain || name),
+    port,
+    upstream,
+    routes,
+    protocol,
+    subdomain: options.subdomain ? String(options.subdomain) : undefined,
+    description: options.description ? String(options.description) : undefined,
+    requestTimeout: options.timeout !== undefined ? parseDuration(options.timeout) : undefined,
+    maxConcurrency: options.maxConcurrency !== undefined ? Number(options.maxConcurrency) : undefined,
+    insecure: Boolean(options.insecure),
+    caFile: options.caFile ? path.resolve(path.dirname(configFile), String(options.caFile)) : undefined,
+    hostHeader: options.hostHeader ? String(options.hostHeader) : undefined,
+    basicAuth: options.basicAuth !== undefined ? parseTunnelBasicAuth(name, options.basicAuth) : undefined,
+    requireToken: options.requireToken !== undefined ? String(options.requireToken) : undefined,
+    // A single range may be written without a list; the server validates them
+    ipAllow: options.ipAllow !== undefined ? [].concat(options.ipAllow).map(String) : undefined,
+    ipDeny: options.ipDeny !== undefined ? [].concat(options.ipDeny).map(String) : undefined,
+    rateLimit: options.rateLimit !== undefined ? String(options.rateLimit) : undefined,
+    ipRateLimit: options.ipRateLimit !== undefined ? String(options.ipRateLimit) : undefined,
+  };
+}
+
+function parseTunnelBasicAuth(name, value) {
+  try {
+    return parseBasicAuth(value);
+  } catch (error) {
+    throw new Error(`Tunnel "${name}": ${error.message}`);
+  }
+}
+
+function normalizeRoutes(name, routes) {
+  if (!Array.isArray(routes) || routes.length === 0) {
+    throw new Error(`Tunnel "${name}": "routes" must be a list of { path, port or upstream }`);
+  }
+
+  return routes.map((route, index) => {
+    if (!route || typeof route.path !== 'string' || !route.path.startsWith('/')) {
+      throw new Error(`Tunnel "${name}": route ${index + 1} needs a "path" starting with /`);
+    }
+    const target = route.upstream || route.port;
+    if (!target) {
+      throw new Error(`Tunnel "${name}": route ${route.path} needs a "port" or "upstream"`);
+    }
+    return { path: route.path, target: String(target), stripPrefix: Boolean(route.stripPrefix) };
+  });
+}
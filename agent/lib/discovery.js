@@ -0,0 +1,45 @@
+import fetch from 'node-fetch';
+import { tunnelServerHttpUrl } from './api.js';
+
+const DISCOVERY_PATH = '/.well-known/ghostgate';
+const DISCOVERY_TIMEOUT_MS = 5000;
+
+/**
+ * WebSocket URL for a server given as http(s):// or ws(s)://
+ * @param {string} url
+ * @returns {string}
+ */
+export function toWebSocketUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol === 'http:') parsed.protocol = 'ws:';
+  if (parsed.protocol === 'https:') parsed.protocol = 'wss:';
+  return parsed.href.replace(/\/+$/, '');
+}
+
+/**
+ * Fetch a tunnel server's discovery document: its agent WebSocket URL, sign-in
+ * endpoints, routing mode and supported protocols
+ * @param {string} serverUrl - Any URL of the server (https://, wss://...)
+ * @returns {Promise<?Object>} The document, or null for servers that don't publish one
+ */
+export async function discoverServer(serverUrl) {
+  const url = `${tunnelServerHttpUrl(serverUrl)}${DISCOVERY_PATH}`;
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS),
+    });
+  } catch {
+    // Unreachable here; connecting reports the real error
+    return null;
+  }
+
+  if (!response.ok) return null;
+  try {
+    const document = await response.json();
+    return document?.websocketUrl ? document : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,421 @@
+import http from 'http';
+import chalk from 'chalk';
+
+const DEFAULT_MAX_ENTRIES = 200;
+// Bodies larger than this are only partially kept (the tunnel still forwards all of it)
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+// Headers the HTTP client recomputes when a captured request is replayed
+const REPLAY_SKIPPED_HEADERS = ['content-length', 'transfer-encoding', 'connection'];
+// Longest a replay may take when the capture has no tunnel timeout; replaying
+// an event stream or long poll otherwise never returns
+const DEFAULT_REPLAY_TIMEOUT_MS = 30000;
+
+/**
+ * Local traffic inspector: records requests forwarded through the tunnel and
+ * serves a small web UI on a loopback port to browse, filter and replay them.
+ * @param {Object} [options]
+ * @param {number} [options.port=4040] - Loopback port for the web UI
+ * @param {number} [options.maxEntries=200] - Captured exchanges to keep
+ * @param {number} [options.maxBodyBytes=1048576] - Bytes of each body to keep
+ */
+export function createInspector(options = {}) {
+  const port = options.port || 4040;
+  const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  const maxBodyBytes = options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES;
+  // Newest last; trimmed to maxEntries
+  const entries = [];
+  let nextId = 1;
+
+  function createBody() {
+    return { chunks: [], size: 0, kept: 0 };
+  }
+
+  function appendBody(body, chunk) {
+    body.size += chunk.length;
+    if (body.kept < maxBodyBytes) {
+      const part = chunk.subarray(0, maxBodyBytes - body.kept);
+      body.chunks.push(Buffer.from(part));
+      body.kept += part.length;
+    }
+  }
+
+  /**
+   * Start recording one exchange. The returned handle is fed as the request
+   * and response stream through the agent; `upstream` (from createUpstream)
+   * is where replays are sent, within `timeout` ms (the tunnel's request timeout).
+   */
+  function begin({ tunnel, upstream, method, path, headers, timeout, replayOf }) {
+    const entry = {
+      id: nextId++,
+      tunnel,
+      upstream,
+      timeout: timeout || null,
+      method,
+      path,
+      requestHeaders: headers || {},
+      requestBody: createBody(),
+      statusCode: null,
+      responseHeaders: null,
+      responseBody: createBody(),
+      startedAt: Date.now(),
+      duration: null,
+      error: null,
+      replayOf: replayOf || null,
+      done: false,
+    };
+    entries.push(entry);
+    if (entries.length > maxEntries) {
+      entries.shift();
+    }
+
+    return {
+      addRequestBody: (chunk) => appendBody(entry.requestBody, chunk),
+      respond: (statusCode, responseHeaders) => {
+        entry.statusCode = statusCode;
+        entry.responseHeaders = { ...responseHeaders };
+      },
+      addResponseBody: (chunk) => appendBody(entry.responseBody, chunk),
+      finish: (error) => {
+        if (entry.done) return;
+        entry.done = true;
+        entry.duration = Date.now() - entry.startedAt;
+        entry.error = error || null;
+      },
+    };
+  }
+
+  /**
+   * Send a captured request to the local app again and record the exchange.
+   * Gives up after the tunnel's timeout, or when `signal` aborts (the
+   * inspector page went away); what arrived until then stays in the capture.
+   */
+  async function replay(original, overrides = {}, signal) {
+    const method = overrides.method || original.method;
+    const path = overrides.path || original.path;
+    const headers = { ...(overrides.headers || original.requestHeaders) };
+    for (const name of REPLAY_SKIPPED_HEADERS) {
+      delete headers[name];
+    }
+
+    let data;
+    if (overrides.body !== undefined) {
+      data = Buffer.from(overrides.body, overrides.bodyEncoding === 'base64' ? 'base64' : 'utf8');
+    } else if (original.requestBody.kept < original.requestBody.size) {
+      // Sending the kept part alone would look like a faithful replay
+      throw new Error(`Only ${original.requestBody.kept} of ${original.requestBody.size} body bytes were captured; edit the request to send a body`);
+    } else if (original.requestBody.size > 0) {
+      data = Buffer.concat(original.requestBody.chunks);
+    }
+
+    const { upstream } = original;
+    const timeout = original.timeout || DEFAULT_REPLAY_TIMEOUT_MS;
+    const capture = begin({ tunnel: original.tunnel, upstream, method, path, headers, timeout: original.timeout, replayOf: original.id });
+    const entry = entries[entries.length - 1];
+    if (data) capture.addRequestBody(data);
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const deadline = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+
+    let response;
+    try {
+      response = await upstream.request({ method, path, headers, data, signal: controller.signal });
+      capture.respond(response.status, response.headers);
+      // The request signal doesn't end a body that is already streaming
+      controller.signal.addEventListener('abort', () => response.data.destroy());
+      for await (const chunk of response.data) {
+        capture.addResponseBody(chunk);
+      }
+      capture.finish();
+    } catch (error) {
+      capture.finish(timedOut ? `Replay did not complete within ${timeout}ms` :
+        controller.signal.aborted ? 'Replay cancelled' :
+          error.message);
+    } finally {
+      clearTimeout(deadline);
+      signal?.removeEventListener('abort', cancel);
+    }
+    return entry;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/api\/requests\/(\d+)(\/replay)?$/);
+
+    if (!isOwnRequest(req, port)) {
+      sendJson(res, 403, { error: 'Forbidden' });
+      return;
+    }
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/') {
+        res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+        res.end(INSPECTOR_PAGE);
+      } else if (req.method === 'GET' && url.pathname === '/api/requests') {
+        sendJson(res, 200, entries.slice().reverse().map(summarize));
+      } else if (req.method === 'DELETE' && url.pathname === '/api/requests') {
+        entries.length = 0;
+        sendJson(res, 200, { cleared: true });
+      } else if (match) {
+        const entry = entries.find(candidate => candidate.id === Number(match[1]));
+        if (!entry) {
+          sendJson(res, 404, { error: 'Request not found' });
+        } else if (req.method === 'GET' && !match[2]) {
+          sendJson(res, 200, detail(entry));
+        } else if (req.method === 'POST' && match[2]) {
+          // JSON can't be sent cross-site without a preflight, which is never answered
+          if (!/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+            sendJson(res, 415, { error: 'Content-Type must be application/json' });
+            return;
+          }
+          const overrides = await readJson(req);
+          // Stop the replay if the page that asked for it goes away
+          const cancel = new AbortController();
+          res.on('close', () => cancel.abort());
+          sendJson(res, 200, detail(await replay(entry, overrides, cancel.signal)));
+        } else {
+          sendJson(res, 405, { error: 'Method not allowed' });
+        }
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  });
+
+  server.on('error', (err) => {
+    console.error(chalk.yellow(`[!] Inspector unavailable on port ${port}: ${err.message}`));
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    console.log(chalk.blue(`[~] Inspector running at http://127.0.0.1:${port}`));
+  });
+
+  return {
+    begin,
+    close: () => server.close(),
+  };
+}
+
+/**
+ * Whether a request comes from the inspector's own page. Captured traffic holds
+ * cookies and tokens, so other websites must not read it or trigger replays:
+ * a foreign Origin is a cross-site request, a foreign Host a DNS rebinding one.
+ */
+function isOwnRequest(req, port) {
+  const hosts = [`127.0.0.1:${port}`, `localhost:${port}`];
+  if (!hosts.includes(String(req.headers.host || '').toLowerCase())) {
+    return false;
+  }
+  const origin = req.headers.origin;
+  return !origin || hosts.some(host => origin.toLowerCase() === `http://${host}`);
+}
+
+function summarize(entry) {
+  return {
+    id: entry.id,
+    tunnel: entry.tunnel,
+    method: entry.method,
+    path: entry.path,
+    statusCode: entry.statusCode,
+    startedAt: entry.startedAt,
+    duration: entry.duration,
+    error: entry.error,
+    replayOf: entry.replayOf,
+    done: entry.done,
+    requestSize: entry.requestBody.size,
+    responseSize: entry.responseBody.size,
+  };
+}
+
+function detail(entry) {
+  return {
+    ...summarize(entry),
+    upstream: entry.upstream.label,
+    requestHeaders: entry.requestHeaders,
+    requestBody: encodeBody(entry.requestBody),
+    responseHeaders: entry.responseHeaders,
+    responseBody: encodeBody(entry.responseBody),
+  };
+}
+
+// Bodies are returned as text when they decode cleanly, otherwise as base64
+function encodeBody(body) {
+  const buffer = Buffer.concat(body.chunks);
+  const text = buffer.toString('utf8');
+  const isText = !text.includes('\uFFFD') && !/[\x00-\x08\x0E-\x1F]/.test(text);
+  return {
+    size: body.size,
+    truncated: body.kept < body.size,
+    encoding: isText ? 'utf8' : 'base64',
+    data: isText ? text : buffer.toString('base64'),
+  };
+}
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const INSPECTOR_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>ghostgate inspector</title>
+<style>
+  body { margin: 0; font: 13px/1.4 -apple-system, system-ui, sans-serif; color: #222; display: flex; height: 100vh; }
+  #list { width: 45%; border-right: 1px solid #ddd; display: flex; flex-direction: column; }
+  #filters { padding: 8px; border-bottom: 1px solid #ddd; display: flex; gap: 6px; }
+  #filters input, #filters select { font: inherit; padding: 3px 6px; }
+  #rows { overflow-y: auto; flex: 1; }
+  .row { padding: 6px 10px; border-bottom: 1px solid #f0f0f0; cursor: pointer; display: flex; gap: 8px; }
+  .row:hover, .row.active { background: #eef4ff; }
+  .method { font-weight: 600; width: 56px; }
+  .path { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-family: monospace; }
+  .status { width: 36px; text-align: right; }
+  .s2 { color: #16803c; } .s3 { color: #2563eb; } .s4 { color: #b45309; } .s5, .err { color: #b91c1c; }
+  .time { width: 60px; text-align: right; color: #666; }
+  #detail { flex: 1; overflow-y: auto; padding: 12px 16px; }
+  h3 { margin: 16px 0 6px; font-size: 13px; }
+  pre, textarea { background: #f7f7f7; padding: 8px; white-space: pre-wrap; word-break: break-all; font: 12px monospace; margin: 0; }
+  textarea { width: 100%; box-sizing: border-box; border: 1px solid #ddd; }
+  button { font: inherit; padding: 4px 10px; margin-right: 6px; cursor: pointer; }
+  .muted { color: #888; }
+</style>
+</head>
+<body>
+<div id="list">
+  <div id="filters">
+    <input id="q" placeholder="Filter by path" style="flex:1">
+    <select id="method"><option value="">Any method</option><option>GET</option><option>POST</option><option>PUT</option><option>PATCH</option><option>DELETE</option></select>
+    <select id="status"><option value="">Any status</option><option value="2">2xx</option><option value="3">3xx</option><option value="4">4xx</option><option value="5">5xx</option><option value="err">Errors</option></select>
+    <button id="clear">Clear</button>
+  </div>
+  <div id="rows"></div>
+</div>
+<div id="detail"><p class="muted">Select a request to see its details.</p></div>
+<script>
+  const $ = (id) => document.getElementById(id);
+  let entries = [];
+  let selected = null;
+
+  function el(tag, props, ...children) {
+    const node = Object.assign(document.createElement(tag), props || {});
+    for (const child of children) node.append(child);
+    return node;
+  }
+
+  function matches(entry) {
+    const q = $('q').value.trim().toLowerCase();
+    const status = $('status').value;
+    if (q && !entry.path.toLowerCase().includes(q)) return false;
+    if ($('method').value && entry.method !== $('method').value) return false;
+    if (status === 'err') return Boolean(entry.error) || entry.statusCode >= 500;
+    if (status && String(entry.statusCode || '')[0] !== status) return false;
+    return true;
+  }
+
+  function renderList() {
+    $('rows').replaceChildren(...entries.filter(matches).map((entry) => {
+      const statusText = entry.error && !entry.statusCode ? 'ERR' : (entry.statusCode || '…');
+      const row = el('div', { className: 'row' + (entry.id === selected ? ' active' : ''), onclick: () => select(entry.id) },
+        el('span', { className: 'method', textContent: entry.method }),
+        el('span', { className: 'path', textContent: (entry.replayOf ? '↻ ' : '') + entry.path }),
+        el('span', { className: 'status s' + String(entry.statusCode || 5)[0] + (entry.error ? ' err' : ''), textContent: statusText }),
+        el('span', { className: 'time', textContent: entry.duration === null ? '' : entry.duration + 'ms' }));
+      return row;
+    }));
+  }
+
+  function headersText(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => name + ': ' + value).join('\\n') || '(none)';
+  }
+
+  function bodyNode(body) {
+    if (!body.size) return el('pre', { className: 'muted', textContent: '(empty)' });
+    const note = body.truncated ? '\\n… truncated, ' + body.size + ' bytes total' : '';
+    const text = body.encoding === 'utf8' ? body.data : '(binary, ' + body.size + ' bytes, base64)\\n' + body.data;
+    return el('pre', { textContent: text + note });
+  }
+
+  async function select(id) {
+    selected = id;
+    renderList();
+    const entry = await (await fetch('/api/requests/' + id)).json();
+    const editor = el('div');
+    $('detail').replaceChildren(
+      el('div', {},
+        el('strong', { textContent: entry.method + ' ' + entry.path }),
+        el('span', { className: 'muted', textContent: '  ' + entry.tunnel + ' → ' + entry.upstream + ' · ' + new Date(entry.startedAt).toLocaleTimeString() + (entry.duration !== null ? ' · ' + entry.duration + 'ms' : '') })),
+      el('p', {},
+        el('button', { textContent: 'Replay', disabled: entry.requestBody.truncated, title: entry.requestBody.truncated ? 'The request body was too large to capture in full' : '', onclick: () => replay(id, {}) }),
+        el('button', { textContent: 'Edit & replay', onclick: () => showEditor(editor, entry) })),
+      editor,
+      entry.error ? el('p', { className: 'err', textContent: 'Error: ' + entry.error }) : '',
+      el('h3', { textContent: 'Request headers' }), el('pre', { textContent: headersText(entry.requestHeaders) }),
+      el('h3', { textContent: 'Request body' }), bodyNode(entry.requestBody),
+      el('h3', { textContent: 'Response ' + (entry.statusCode || '') }), el('pre', { textContent: headersText(entry.responseHeaders) }),
+      el('h3', { textContent: 'Response body' }), bodyNode(entry.responseBody));
+  }
+
+  function showEditor(container, entry) {
+    const method = el('input', { value: entry.method, size: 8 });
+    const path = el('input', { value: entry.path, style: 'width:60%' });
+    const headers = el('textarea', { rows: 6, value: JSON.stringify(entry.requestHeaders, null, 2) });
+    const body = el('textarea', { rows: 8, value: entry.requestBody.data });
+    container.replaceChildren(
+      el('h3', { textContent: 'Edit request' }), method, ' ', path,
+      el('h3', { textContent: 'Headers (JSON)' }), headers,
+      el('h3', { textContent: 'Body' + (entry.requestBody.encoding === 'base64' ? ' (base64)' : '') }), body,
+      entry.requestBody.truncated ? el('p', { className: 'err', textContent: 'Only part of the original body was captured (' + entry.requestBody.size + ' bytes total); Send replays the body as shown here.' }) : '',
+      el('p', {}, el('button', { textContent: 'Send', onclick: () => {
+        let parsedHeaders;
+        try { parsedHeaders = JSON.parse(headers.value); } catch { return alert('Headers must be valid JSON'); }
+        replay(entry.id, { method: method.value, path: path.value, headers: parsedHeaders, body: body.value, bodyEncoding: entry.requestBody.encoding });
+      } })));
+  }
+
+  async function replay(id, overrides) {
+    const response = await fetch('/api/requests/' + id + '/replay', { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(overrides) });
+    const entry = await response.json();
+    if (!response.ok) return alert(entry.error);
+    await refresh();
+    select(entry.id);
+  }
+
+  async function refresh() {
+    entries = await (await fetch('/api/requests')).json();
+    renderList();
+  }
+
+  ['q', 'method', 'status'].forEach((id) => $(id).addEventListener('input', renderList));
+  $('clear').onclick = async () => { await fetch('/api/requests', { method: 'DELETE' }); selected = null; refresh(); };
+  refresh();
+  setInterval(refresh, 1000);
+</script>
+</body>
+</html>
+`;
@@ -0,0 +1,135 @@
+import fs from 'fs';
+import path from 'path';
+import { tunnelServerHttpUrl } from './api.js';
+
+const HOME = process.env.HOME || process.env.USERPROFILE;
+export const PROFILES_PATH = path.join(HOME, '.ghostgate.json');
+// Single-token file written by earlier versions, imported as the default profile
+const LEGACY_TOKEN_PATH = path.join(HOME, '.ngrok_clone_token.json');
+
+export const DEFAULT_PROFILE = 'default';
+export const DEFAULT_SERVER = 'ws://localhost:8080';
+// The web app handling sign-in runs separately from the tunnel server in development
+const DEFAULT_API_URL = 'http://localhost:3000';
+
+// Tokens without an `exp` claim are trusted for this long after sign-in
+const DEFAULT_TOKEN_LIFETIME = 29 * 24 * 60 * 60 * 1000;
+// Sign in again this long before a token actually expires
+const EXPIRY_MARGIN = 24 * 60 * 60 * 1000;
+
+// ws://host:8080 and http://host:8080 are the same server
+function sameServer(a, b) {
+  if (!a || !b) return false;
+  try {
+    return tunnelServerHttpUrl(a).toLowerCase() === tunnelServerHttpUrl(b).toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
+function defaultApiUrl(server) {
+  return sameServer(server, DEFAULT_SERVER) ? DEFAULT_API_URL : tunnelServerHttpUrl(server);
+}
+
+/**
+ * When a token stops being usable: its `exp` claim, or DEFAULT_TOKEN_LIFETIME after sign-in
+ * @param {string} token
+ * @param {number} issuedAt - Sign-in time in ms
+ * @returns {number} Expiry time in ms
+ */
+export function tokenExpiry(token, issuedAt) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    if (payload.exp) return payload.exp * 1000;
+  } catch {
+    // Not a JWT; fall back to the default lifetime
+  }
+  return issuedAt + DEFAULT_TOKEN_LIFETIME;
+}
+
+/**
+ * Whether a profile holds a token that is not about to expire
+ * @param {{ token: ?string, expiresAt: ?number }} profile
+ */
+export function hasValidToken(profile) {
+  return Boolean(profile.token) && Date.now() < profile.expiresAt - EXPIRY_MARGIN;
+}
+
+/**
+ * Read all profiles: `{ current, profiles: { name → { server, apiUrl, token, issuedAt, expiresAt } } }`
+ */
+export function loadProfiles() {
+  if (fs.existsSync(PROFILES_PATH)) {
+    const store = JSON.parse(fs.readFileSync(PROFILES_PATH, 'utf8'));
+    return { current: store.current || DEFAULT_PROFILE, profiles: store.profiles || {} };
+  }
+
+  const store = { current: DEFAULT_PROFILE, profiles: {} };
+  if (fs.existsSync(LEGACY_TOKEN_PATH)) {
+    const legacy = JSON.parse(fs.readFileSync(LEGACY_TOKEN_PATH, 'utf8'));
+    if (legacy.token) {
+      const issuedAt = legacy.timestamp || Date.now();
+      store.profiles[DEFAULT_PROFILE] = {
+        // The old file didn't record the tunnel server; the first one used is adopted
+        server: null,
+        apiUrl: legacy.serverUrl || DEFAULT_API_URL,
+        token: legacy.token,
+        issuedAt,
+        expiresAt: tokenExpiry(legacy.token, issuedAt),
+      };
+    }
+  }
+  return store;
+}
+
+export function saveProfiles(store) {
+  fs.writeFileSync(PROFILES_PATH, JSON.stringify(store, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Work out which profile a command uses. An explicit --profile wins; with only
+ * --server, the profile already set up for that server is used (or a new one
+ * named after its host), so a token is never sent to another server.
+ * @param {Object} store - From loadProfiles()
+ * @param {Object} [selection]
+ * @param {string} [selection.profile] - --profile
+ * @param {string} [selection.server] - --server (tunnel WebSocket URL)
+ * @param {string} [selection.apiUrl] - --api-url (sign-in / API base URL)
+ * @returns {{ name: string, server: string, apiUrl: string, token: ?string, issuedAt: ?number, expiresAt: ?number }}
+ */
+export function resolveProfile(store, { profile, server, apiUrl } = {}) {
+  let name = profile;
+  if (!name && server) {
+    const names = Object.keys(store.profiles);
+    name = names.find(key => sameServer(store.profiles[key].server, server)) ||
+      names.find(key => key === store.current && !store.profiles[key].server) ||
+      new URL(server).host;
+  }
+  name = name || store.current || DEFAULT_PROFILE;
+
+  const saved = store.profiles[name] || {};
+  if (saved.server && server && !sameServer(saved.server, server)) {
+    throw new Error(`Profile "${name}" is for ${saved.server}; use another --profile for ${server}`);
+  }
+
+  const resolvedServer = server || saved.server || DEFAULT_SERVER;
+  return {
+    name,
+    server: resolvedServer,
+    apiUrl: apiUrl || saved.apiUrl || defaultApiUrl(resolvedServer),
+    token: saved.token || null,
+    issuedAt: saved.issuedAt || null,
+    expiresAt: saved.expiresAt || null,
+  };
+}
+
+/**
+ * Store a profile (and its token, if any) under its name
+ * @param {Object} profile - As returned by resolveProfile()
+ */
+export function saveProfile(profile) {
+  const store = loadProfiles();
+  const { name, ...fields } = profile;
+  store.profiles[name] = fields;
+  saveProfiles(store);
+}
@@ -0,0 +1,92 @@
+import { Readable } from 'stream';
+import { createUpstream } from './upstream.js';
+
+/**
+ * Parse a `--route` value: `PREFIX=TARGET[,strip]`, where TARGET is a local
+ * port or an upstream URL, e.g. `/api=4000,strip` or `/=http://localhost:3000`
+ * @param {string} value
+ * @returns {{ path: string, target: string, stripPrefix: boolean }}
+ */
+export function parseRoute(value) {
+  const match = String(value).match(/^(\/[^=]*)=([^,]+)(,strip)?$/);
+  if (!match) {
+    throw new Error(`Invalid route "${value}" (use PREFIX=PORT_OR_URL[,strip], e.g. /api=4000,strip)`);
+  }
+  return { path: match[1], target: match[2].trim(), stripPrefix: Boolean(match[3]) };
+}
+
+/**
+ * Send each request to the upstream whose path prefix matches it best, so one
+ * tunnel can front several local services. Stands in for an upstream in
+ * startAgent().
+ * @param {Array<{ path: string, target: number|string, stripPrefix?: boolean }>} routes
+ * @param {Object} [options] - TLS and Host options passed to every createUpstream()
+ */
+export function createRouter(routes, options = {}) {
+  if (routes.length === 0) {
+    throw new Error('At least one route is required');
+  }
+
+  const table = routes
+    .map(route => ({
+      prefix: normalizePrefix(route.path),
+      stripPrefix: Boolean(route.stripPrefix),
+      upstream: createUpstream(route.target, options),
+    }))
+    // Longest prefix first so /api/v2 wins over /api and / comes last
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  // Find the route for a request path and the path to send upstream
+  function resolve(path, headers = {}) {
+    const [pathname] = path.split('?');
+    const route = table.find(({ prefix }) => prefix === '/' || pathname === prefix || pathname.startsWith(`${prefix}/`));
+    if (!route) return null;
+
+    if (!route.stripPrefix || route.prefix === '/') {
+      return { route, path, headers };
+    }
+
+    const rest = path.slice(route.prefix.length);
+    // Let the app know where it is mounted, after any prefix the server reported
+    const prefix = `${headers['x-forwarded-prefix'] || ''}${route.prefix}`;
+    return {
+      route,
+      path: rest.startsWith('/') ? rest : `/${rest}`,
+      headers: { ...headers, 'x-forwarded-prefix': prefix },
+    };
+  }
+
+  const main = (table.find(({ prefix }) => prefix === '/') || table[0]).upstream;
+
+  return {
+    label: `[${table.map(({ prefix, upstream }) => `${prefix} → ${upstream.label}`).join(', ')}]`,
+    // Reported as the tunnel's local port: the catch-all route's, else the first one's
+    port: main.port,
+    // What the server stores on the tunnel record
+    routes: table.map(({ prefix, stripPrefix, upstream }) => ({ path: prefix, target: upstream.label, stripPrefix })),
+    request: (request) => {
+      const resolved = resolve(request.path, request.headers);
+      if (!resolved) {
+        return Promise.resolve(notFound(request.path));
+      }
+      return resolved.route.upstream.request({ ...request, path: resolved.path, headers: resolved.headers });
+    },
+    webSocket: (path, headers) => {
+      const resolved = resolve(path, headers);
+      return resolved ? resolved.route.upstream.webSocket(resolved.path, resolved.headers) : null;
+    },
+  };
+}
+
+function normalizePrefix(path) {
+  return `/${String(path).replace(/^\/+|\/+$/g, '')}`;
+}
+
+function notFound(path) {
+  const text = `No route matches ${path.split('?')[0]}`;
+  return {
+    status: 404,
+    headers: { 'content-type': 'text/plain; charset=utf-8', 'content-length': String(Buffer.byteLength(text)) },
+    data: Readable.from([Buffer.from(text)]),
+  };
+}
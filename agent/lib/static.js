@@ -0,0 +1,251 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.wasm': 'application/wasm',
+};
+
+/**
+ * Serve a directory straight from the agent, without a local HTTP server.
+ * The returned site stands in for an upstream in startAgent().
+ * @param {string} dir - Directory to serve
+ * @param {Object} [options]
+ * @param {boolean} [options.spa] - Answer unknown paths with /index.html (for client-side routing)
+ * @param {boolean} [options.listing] - List the contents of directories without an index.html
+ */
+export function createStaticSite(dir, options = {}) {
+  const root = path.resolve(dir);
+  if (!fs.statSync(root, { throwIfNoEntry: false })?.isDirectory()) {
+    throw new Error(`Not a directory: ${root}`);
+  }
+  // "/srv/app" must not admit its sibling "/srv/app-secrets"
+  const rootPrefix = root.endsWith(path.sep) ? root : root + path.sep;
+
+  async function request({ method, path: requestPath, headers = {}, signal }) {
+    if (method !== 'GET' && method !== 'HEAD') {
+      return textResponse(405, 'Method Not Allowed', { 'allow': 'GET, HEAD' });
+    }
+
+    const pathname = decodePath(requestPath);
+    if (pathname === null) {
+      return textResponse(400, 'Bad Request');
+    }
+
+    const filePath = path.join(root, pathname);
+    // Never serve anything outside root or any dotfile (.env, .git...)
+    if ((filePath !== root && !filePath.startsWith(rootPrefix)) || pathname.split('/').some(part => part.startsWith('.'))) {
+      return textResponse(404, 'Not Found');
+    }
+
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+
+    if (stats?.isDirectory()) {
+      // Relative redirect so it also works under a /{subdomain} path prefix
+      if (!pathname.endsWith('/')) {
+        return textResponse(301, 'Moved Permanently', { 'location': `${path.posix.basename(pathname)}/${queryOf(requestPath)}` });
+      }
+      const index = path.join(filePath, 'index.html');
+      const indexStats = await fs.promises.stat(index).catch(() => null);
+      if (indexStats?.isFile()) {
+        return fileResponse(index, indexStats, method, headers, signal);
+      }
+      if (options.listing) {
+        return listingResponse(filePath, pathname, method);
+      }
+    } else if (stats?.isFile()) {
+      return fileResponse(filePath, stats, method, headers, signal);
+    }
+
+    if (options.spa && acceptsHtml(headers)) {
+      const index = path.join(root, 'index.html');
+      const indexStats = await fs.promises.stat(index).catch(() => null);
+      if (indexStats?.isFile()) {
+        return fileResponse(index, indexStats, method, headers, signal);
+      }
+    }
+
+    return textResponse(404, 'Not Found');
+  }
+
+  return {
+    label: root,
+    port: null,
+    request,
+    // Static sites have no WebSocket endpoint
+    webSocket: () => null,
+  };
+}
+
+function decodePath(requestPath) {
+  const pathname = requestPath.split('?')[0];
+  try {
+    const decoded = decodeURIComponent(pathname);
+    return decoded.includes('\0') ? null : path.posix.normalize(decoded);
+  } catch {
+    return null;
+  }
+}
+
+function queryOf(requestPath) {
+  const index = requestPath.indexOf('?');
+  return index === -1 ? '' : requestPath.slice(index);
+}
+
+function acceptsHtml(headers) {
+  return (headers.accept || '').includes('text/html');
+}
+
+function contentType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+function textResponse(status, text, headers = {}) {
+  return {
+    status,
+    headers: { 'content-type': 'text/plain; charset=utf-8', 'content-length': String(Buffer.byteLength(text)), ...headers },
+    data: Readable.from([Buffer.from(text)]),
+  };
+}
+
+function emptyResponse(status, headers) {
+  return { status, headers, data: Readable.from([]) };
+}
+
+// Parse a single `bytes=` range; multiple ranges are answered with the whole file
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start, end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  return start <= end && start < size ? { start, end } : 'unsatisfiable';
+}
+
+function fileResponse(filePath, stats, method, requestHeaders, signal) {
+  const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+  const headers = {
+    'content-type': contentType(filePath),
+    'accept-ranges': 'bytes',
+    'last-modified': stats.mtime.toUTCString(),
+    'etag': etag,
+    'cache-control': 'no-cache',
+  };
+
+  if (requestHeaders['if-none-match'] === etag) {
+    return emptyResponse(304, headers);
+  }
+
+  let status = 200;
+  let start = 0;
+  let end = stats.size - 1;
+
+  // If-Range: only honour the range when the file hasn't changed
+  const rangeHeader = requestHeaders.range;
+  if (rangeHeader && (!requestHeaders['if-range'] || requestHeaders['if-range'] === etag)) {
+    const range = parseRange(rangeHeader, stats.size);
+    if (range === 'unsatisfiable') {
+      return textResponse(416, 'Range Not Satisfiable', { 'content-range': `bytes */${stats.size}` });
+    }
+    if (range) {
+      status = 206;
+      ({ start, end } = range);
+      headers['content-range'] = `bytes ${start}-${end}/${stats.size}`;
+    }
+  }
+
+  headers['content-length'] = String(stats.size === 0 ? 0 : end - start + 1);
+  if (method === 'HEAD' || stats.size === 0) {
+    return emptyResponse(status, headers);
+  }
+
+  const data = fs.createReadStream(filePath, { start, end });
+  signal?.addEventListener('abort', () => data.destroy(), { once: true });
+  return { status, headers, data };
+}
+
+async function listingResponse(dirPath, pathname, method) {
+  const entries = (await fs.promises.readdir(dirPath, { withFileTypes: true }))
+    .filter(entry => !entry.name.startsWith('.'))
+    .sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name));
+
+  const rows = await Promise.all(entries.map(async (entry) => {
+    const name = entry.isDirectory() ? `${entry.name}/` : entry.name;
+    const stats = await fs.promises.stat(path.join(dirPath, entry.name)).catch(() => null);
+    const size = entry.isDirectory() || !stats ? '-' : formatSize(stats.size);
+    return `<tr><td><a href="${escapeHtml(encodeURIComponent(entry.name))}${entry.isDirectory() ? '/' : ''}">${escapeHtml(name)}</a></td><td>${size}</td></tr>`;
+  }));
+
+  const title = `Index of ${escapeHtml(pathname)}`;
+  const parent = pathname === '/' ? '' : '<tr><td><a href="../">../</a></td><td></td></tr>';
+  const html = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title}</title>
+<style>body{font-family:system-ui,sans-serif;margin:2rem}td{padding:.2rem 1.5rem .2rem 0}a{text-decoration:none}</style>
+</head>
+<body><h1>${title}</h1><table>${parent}${rows.join('')}</table></body>
+</html>
+`;
+
+  const body = Buffer.from(html);
+  return {
+    status: 200,
+    headers: { 'content-type': 'text/html; charset=utf-8', 'content-length': String(body.length) },
+    data: Readable.from(method === 'HEAD' ? [] : [body]),
+  };
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = -1;
+  do {
+    value /= 1024;
+    unit++;
+  } while (value >= 1024 && unit < units.length - 1);
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
@@ -0,0 +1,93 @@
+import fs from 'fs';
+import axios from 'axios';
+import https from 'https';
+import tls from 'tls';
+
+/**
+ * Where the agent forwards tunnel traffic: a local port, or a full URL for a
+ * service elsewhere (a container, another machine on the LAN, an HTTPS dev
+ * server with a self-signed certificate...)
+ * @param {number|string} target - Local port, or an upstream URL like https://192.168.1.20:8443
+ * @param {Object} [options]
+ * @param {boolean} [options.insecure] - Skip TLS certificate verification for https upstreams
+ * @param {string} [options.caFile] - PEM file with an extra CA to trust for https upstreams
+ * @param {string} [options.hostHeader] - "rewrite" (default) to send the upstream's host, "preserve" to
+ *   keep the public host the visitor used (also in X-Forwarded-Host), or a literal Host value
+ */
+export function createUpstream(target, options = {}) {
+  const url = parseTarget(target);
+  const secure = url.protocol === 'https:';
+  // Optional path prefix of the upstream URL, prepended to every request path
+  const basePath = url.pathname.replace(/\/+$/, '');
+  // Without the brackets URL puts around IPv6 addresses
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+  const tlsOptions = secure ? {
+    rejectUnauthorized: !options.insecure,
+    ca: options.caFile ? readCaFile(options.caFile) : undefined,
+    // Verify the certificate against the upstream host even when the Host header is rewritten
+    checkServerIdentity: (host, cert) => tls.checkServerIdentity(hostname, cert),
+  } : {};
+
+  const hostHeader = !options.hostHeader || options.hostHeader === 'rewrite' ? url.host :
+    options.hostHeader === 'preserve' ? null : options.hostHeader;
+
+  const httpsAgent = secure ? new https.Agent(tlsOptions) : undefined;
+  const withHost = (headers) => hostHeader ? { ...headers, host: hostHeader } : headers;
+  // axios fills these in when absent; `false` keeps it from adding headers the visitor never sent
+  const noDefaults = { 'accept': false, 'accept-encoding': false, 'user-agent': false };
+
+  return {
+    // Shown in logs: "localhost:3000" for plain ports, the URL otherwise
+    label: url.hostname === 'localhost' && !secure && !basePath ? url.host : `${url.origin}${basePath}`,
+    hostname,
+    port: Number(url.port) || (secure ? 443 : 80),
+    /**
+     * Send one request upstream
+     * @returns {Promise<{ status: number, headers: Object, data: import('stream').Readable }>}
+     */
+    request: ({ method, path, headers, data, signal }) => axios({
+      url: `${url.origin}${basePath}${path}`,
+      method,
+      headers: { ...noDefaults, ...withHost(headers) },
+      data,
+      httpsAgent,
+      responseType: 'stream',
+      decompress: false,
+      maxRedirects: 0,
+      signal,
+      validateStatus: () => true,
+    }),
+    // Where to open a relayed WebSocket, with options for ws
+    webSocket: (path, headers) => ({
+      url: `${secure ? 'wss' : 'ws'}://${url.host}${basePath}${path}`,
+      options: { headers: withHost(headers), ...tlsOptions },
+    }),
+  };
+}
+
+function parseTarget(target) {
+  const value = String(target).trim();
+  if (/^\d+$/.test(value)) {
+    return new URL(`http://localhost:${value}`);
+  }
+
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+  } catch {
+    throw new Error(`Invalid upstream: "${value}" (use a port or a URL like http://192.168.1.20:8080)`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`Unsupported upstream protocol "${url.protocol}" (use http or https)`);
+  }
+  return url;
+}
+
+function readCaFile(caFile) {
+  try {
+    return fs.readFileSync(caFile);
+  } catch (error) {
+    throw new Error(`Failed to read CA file ${caFile}: ${error.message}`);
+  }
+}
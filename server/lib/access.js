@@ -0,0 +1,236 @@
+// Visitor access control for individual tunnels. Agents ask for protection
+// when they register (`basicAuth: "user:pass"`, `requireToken: "<token>"`);
+// only hashes are stored with the tunnel and the server checks every request
+// and WebSocket upgrade before anything reaches the agent. Tunnels may also
+// carry IP allow/deny lists of CIDR ranges.
+
+import crypto from 'crypto';
+import net from 'net';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_KEY_LENGTH = 32;
+
+// Passwords that recently passed the scrypt check, so a page's assets don't
+// each pay for it; keyed by a digest of the stored hash and the password
+const verifiedPasswords = new Set();
+const MAX_VERIFIED_PASSWORDS = 1000;
+
+/**
+ * SHA-256 hex digest of a secret, as stored on the tunnel
+ * @param {string} secret
+ * @returns {string}
+ */
+export function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret, 'utf8').digest('hex');
+}
+
+/**
+ * Salted scrypt hash of a password, as "scrypt$<salt>$<hash>" (base64url)
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+/**
+ * Check a password against a hash from hashPassword()
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const cacheKey = hashSecret(`${stored}\0${password}`);
+    if (verifiedPasswords.has(cacheKey)) {
+        return true;
+    }
+
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length);
+    if (!crypto.timingSafeEqual(actual, expected)) {
+        return false;
+    }
+
+    if (verifiedPasswords.size >= MAX_VERIFIED_PASSWORDS) {
+        verifiedPasswords.delete(verifiedPasswords.values().next().value);
+    }
+    verifiedPasswords.add(cacheKey);
+    return true;
+}
+
+/**
+ * Validate the protection an agent asked for and turn it into tunnel columns
+ * @param {{ basicAuth?: string, requireToken?: string }} settings - From the `register` message
+ * @returns {Promise<{ basicAuth: ?string, accessTokenHash: ?string }>}
+ * @throws {Error} If a setting is malformed
+ */
+export async function parseTunnelAccess({ basicAuth, requireToken }) {
+    let storedBasicAuth = null;
+    if (basicAuth !== undefined && basicAuth !== null) {
+        const separator = String(basicAuth).indexOf(':');
+        const user = String(basicAuth).slice(0, separator);
+        const password = String(basicAuth).slice(separator + 1);
+        if (separator < 1 || !password) {
+            throw new Error('basicAuth must look like "user:password"');
+        }
+        storedBasicAuth = `${user}:${await hashPassword(password)}`;
+    }
+
+    let accessTokenHash = null;
+    if (requireToken !== undefined && requireToken !== null) {
+        if (typeof requireToken !== 'string' || requireToken.trim() === '') {
+            throw new Error('requireToken must be a non-empty string');
+        }
+        accessTokenHash = hashSecret(requireToken.trim());
+    }
+
+    return { basicAuth: storedBasicAuth, accessTokenHash };
+}
+
+/**
+ * Whether a tunnel asks visitors for credentials
+ * @param {{ basicAuth: ?string, accessTokenHash: ?string }} tunnel
+ */
+export function isProtected(tunnel) {
+    return Boolean(tunnel.basicAuth || tunnel.accessTokenHash);
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check a visitor's Authorization header against the tunnel's protection.
+ * Either credential is accepted when a tunnel has both.
+ * @param {Object} tunnel - Tunnel record
+ * @param {string} [authorization] - Authorization request header
+ * @returns {Promise<{ allowed: boolean, challenge?: string }>} challenge is the WWW-Authenticate value for a 401
+ */
+export async function checkTunnelAccess(tunnel, authorization = '') {
+    if (!isProtected(tunnel)) {
+        return { allowed: true };
+    }
+
+    const separator = authorization.indexOf(' ');
+    const scheme = authorization.slice(0, separator).toLowerCase();
+    const credentials = authorization.slice(separator + 1).trim();
+
+    if (tunnel.basicAuth && scheme === 'basic') {
+        const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+        const colon = decoded.indexOf(':');
+        const userEnd = tunnel.basicAuth.indexOf(':');
+        if (colon > 0 &&
+            safeEqual(decoded.slice(0, colon), tunnel.basicAuth.slice(0, userEnd)) &&
+            await verifyPassword(decoded.slice(colon + 1), tunnel.basicAuth.slice(userEnd + 1))) {
+            return { allowed: true };
+        }
+    }
+
+    if (tunnel.accessTokenHash && scheme === 'bearer' && credentials) {
+        if (safeEqual(hashSecret(credentials), tunnel.accessTokenHash)) {
+            return { allowed: true };
+        }
+    }
+
+    const realm = `ghostgate ${tunnel.subdomain}`;
+    const challenges = [];
+    if (tunnel.basicAuth) {
+        challenges.push(`Basic realm="${realm}", charset="UTF-8"`);
+    }
+    if (tunnel.accessTokenHash) {
+        // Only report a bad token when one was actually sent (RFC 6750 §3.1)
+        challenges.push(scheme === 'bearer' ?
+            `Bearer realm="${realm}", error="invalid_token"` :
+            `Bearer realm="${realm}"`);
+    }
+    return { allowed: false, challenge: challenges.join(', ') };
+}
+
+/**
+ * Canonical form of a client address: IPv4-mapped IPv6 (::ffff:1.2.3.4) and
+ * brackets are removed so rules match however the address arrived
+ * @param {string} ip
+ * @returns {string}
+ */
+export function normalizeIp(ip) {
+    return String(ip || '').trim().replace(/^\[|\]$/g, '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+}
+
+/**
+ * Validate a list of addresses or CIDR ranges ("10.0.0.0/8", "2001:db8::/32", "203.0.113.7")
+ * @param {string[]} rules
+ * @returns {string[]} The rules in canonical "address/prefix" form
+ * @throws {Error} If a rule is not an IPv4 or IPv6 address or range
+ */
+export function parseIpRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('IP rules must be a list of addresses or CIDR ranges');
+    }
+
+    return rules.map((rule) => {
+        const [address, prefix, extra] = String(rule).trim().split('/');
+        const normalized = normalizeIp(address);
+        const family = net.isIP(normalized);
+        const maxPrefix = family === 6 ? 128 : 32;
+        const bits = prefix === undefined ? maxPrefix : Number(prefix);
+
+        if (!family || extra !== undefined || (prefix !== undefined && !/^\d+$/.test(prefix)) || bits > maxPrefix) {
+            throw new Error(`Invalid IP rule "${rule}" (use an address or CIDR range like 10.0.0.0/8 or 2001:db8::/32)`);
+        }
+        return `${normalized}/${bits}`;
+    });
+}
+
+/**
+ * Build a matcher for rules from parseIpRules()
+ * @param {string[]} rules
+ * @returns {(ip: string) => boolean}
+ */
+export function createIpMatcher(rules) {
+    const list = new net.BlockList();
+    for (const rule of rules) {
+        const [address, prefix] = rule.split('/');
+        list.addSubnet(address, Number(prefix), net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+    }
+
+    return (ip) => {
+        const address = normalizeIp(ip);
+        const family = net.isIP(address);
+        return Boolean(family) && list.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    };
+}
+
+/**
+ * Build the matchers for a tunnel's allow and deny lists once, for isIpAllowed()
+ * @param {{ ipAllow?: string[], ipDeny?: string[] }} tunnel
+ * @returns {{ allow: ?(ip: string) => boolean, deny: ?(ip: string) => boolean }} null for an empty list
+ */
+export function compileIpRules({ ipAllow, ipDeny }) {
+    return {
+        allow: ipAllow?.length ? createIpMatcher(ipAllow) : null,
+        deny: ipDeny?.length ? createIpMatcher(ipDeny) : null
+    };
+}
+
+/**
+ * Whether a client address may reach a tunnel: denied ranges always lose, and
+ * a non-empty allow list admits only the ranges on it
+ * @param {ReturnType<typeof compileIpRules>} rules
+ * @param {string} ip - Client address from getClientIP()
+ */
+export function isIpAllowed(rules, ip) {
+    if (rules.deny?.(ip)) {
+        return false;
+    }
+    return !rules.allow || rules.allow(ip);
+}
@@ -0,0 +1,63 @@
+// API keys for CI and headless machines, where the browser sign-in can't run.
+// Keys look like "gg_<random>" and are shown once when created; the server
+// keeps their SHA-256 hash. A key may be limited to some subdomains, given as
+// exact names or prefixes ending in "*" ("pr-*").
+
+import crypto from 'crypto';
+import { hashSecret } from './access.js';
+
+export const API_KEY_PREFIX = 'gg_';
+
+const SUBDOMAIN_RULE_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$|^[a-z0-9-]{0,62}\*$/;
+
+/**
+ * Whether a bearer credential is an API key rather than a signed-in token
+ * @param {string} token
+ */
+export function isApiKey(token) {
+    return String(token).startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * A new random key with the columns stored for it
+ * @returns {{ key: string, prefix: string, keyHash: string }} key is only ever returned to its creator
+ */
+export function generateApiKey() {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+    return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), keyHash: hashSecret(key) };
+}
+
+/**
+ * Validate the subdomains a key is limited to
+ * @param {string[]} rules - Names or "prefix*" patterns
+ * @returns {string[]} Lower-cased rules without duplicates
+ * @throws {Error} If a rule is not a valid subdomain or pattern
+ */
+export function parseSubdomainRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('subdomains must be a list of names');
+    }
+
+    const parsed = rules.map((rule) => {
+        const normalized = String(rule).trim().toLowerCase();
+        if (!SUBDOMAIN_RULE_PATTERN.test(normalized)) {
+            throw new Error(`Invalid subdomain "${rule}" (use a name like "staging" or a prefix like "pr-*")`);
+        }
+        return normalized;
+    });
+    return [...new Set(parsed)];
+}
+
+/**
+ * Whether a key limited to `rules` may serve a subdomain; no rules means any
+ * @param {string[]} rules - From parseSubdomainRules()
+ * @param {string} subdomain
+ */
+export function isSubdomainAllowed(rules, subdomain) {
+    if (!rules?.length) {
+        return true;
+    }
+    return rules.some(rule => rule.endsWith('*') ?
+        subdomain.startsWith(rule.slice(0, -1)) :
+        subdomain === rule);
+}
@@ -0,0 +1,57 @@
+// Ownership checks for custom domains. Attaching a domain to a tunnel only
+// routes it once DNS shows the claimant controls it: either a CNAME to the
+// tunnel's own hostname, or a TXT record at _ghostgate.<domain> with a token
+// derived from the tunnel and the domain.
+
+import crypto from 'crypto';
+import dns from 'dns';
+
+export const TXT_RECORD_PREFIX = '_ghostgate';
+const TXT_VALUE_PREFIX = 'ghostgate-verification=';
+
+/**
+ * TXT record that proves a tunnel's claim on a domain. The token is an HMAC
+ * of the tunnel ID and domain, so it needs no storage and can't be reused
+ * for another tunnel or domain.
+ * @param {string} secret - Server secret
+ * @param {string} tunnelId
+ * @param {string} domain
+ * @returns {{ name: string, value: string }}
+ */
+export function domainVerificationRecord(secret, tunnelId, domain) {
+    const token = crypto.createHmac('sha256', secret)
+        .update(`${tunnelId}\n${domain}`)
+        .digest('base64url')
+        .slice(0, 32);
+    return { name: `${TXT_RECORD_PREFIX}.${domain}`, value: `${TXT_VALUE_PREFIX}${token}` };
+}
+
+/**
+ * Create a DNS resolver that gives up instead of stalling an API request
+ * @param {number} [timeoutMs=3000]
+ */
+export function createResolver(timeoutMs = 3000) {
+    return new dns.promises.Resolver({ timeout: timeoutMs, tries: 2 });
+}
+
+/**
+ * Whether DNS proves control of a domain: a CNAME to `cnameTarget`, or the TXT
+ * record from domainVerificationRecord(). Lookup failures count as "no".
+ * @param {string} domain
+ * @param {Object} expected
+ * @param {?string} expected.cnameTarget - Hostname the domain may CNAME to (null: TXT only)
+ * @param {{ name: string, value: string }} expected.txtRecord
+ * @param {{ resolveCname: Function, resolveTxt: Function }} resolver - From createResolver()
+ * @returns {Promise<boolean>}
+ */
+export async function verifyDomainOwnership(domain, { cnameTarget, txtRecord }, resolver) {
+    const normalize = (name) => name.toLowerCase().replace(/\.$/, '');
+    const [cnames, txts] = await Promise.all([
+        cnameTarget ? resolver.resolveCname(domain).catch(() => []) : [],
+        resolver.resolveTxt(txtRecord.name).catch(() => [])
+    ]);
+
+    // TXT answers arrive as lists of up-to-255-byte chunks
+    return cnames.some(name => normalize(name) === normalize(cnameTarget)) ||
+        txts.some(chunks => chunks.join('') === txtRecord.value);
+}
@@ -0,0 +1,141 @@
+// Tunnel wire protocol shared with the agent (agent/lib/protocol.js).
+//
+// Control messages (request/response starts, ends, aborts, WebSocket and TCP
+// open/close, registration...) travel as JSON text frames. Body bytes, relayed
+// WebSocket messages and raw TCP bytes travel as binary frames keyed by the id
+// of the stream they belong to, so payloads are never re-encoded:
+//
+//   [0]          frame kind
+//   [1]          id length (n)
+//   [2, 2 + n)   stream id (utf8)
+//   [2 + n, ..)  payload
+//
+// A side that can't pass a stream's bytes on as fast as they arrive (a slow
+// visitor, a slow local app) sends `{ type: 'pause', id }`, and `resume` once
+// it has caught up; the other side stops reading that stream's source meanwhile.
+
+import WebSocket from 'ws';
+
+export const FRAME_DATA = 0x01;
+export const FRAME_WS_TEXT = 0x02;
+export const FRAME_WS_BINARY = 0x03;
+export const FRAME_TCP_DATA = 0x04;
+
+// Pause the stream feeding a WebSocket once this many bytes are queued on it
+export const HIGH_WATER_MARK = 1024 * 1024;
+
+/**
+ * Build a binary frame for the given stream
+ * @param {number} kind - Frame kind (e.g. FRAME_DATA)
+ * @param {string} id - Stream id from the matching control message
+ * @param {Buffer} payload - Raw bytes to carry
+ * @returns {Buffer}
+ */
+export function encodeFrame(kind, id, payload) {
+    const idBytes = Buffer.from(id, 'utf8');
+    if (idBytes.length > 255) {
+        throw new Error(`Stream id too long: ${id}`);
+    }
+    const header = Buffer.allocUnsafe(2 + idBytes.length);
+    header[0] = kind;
+    header[1] = idBytes.length;
+    idBytes.copy(header, 2);
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Parse a binary frame, returning null if it is malformed
+ * @param {Buffer} buffer - Raw WebSocket binary message
+ * @returns {{ kind: number, id: string, payload: Buffer } | null}
+ */
+export function decodeFrame(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 2) return null;
+    const idLength = buffer[1];
+    if (buffer.length < 2 + idLength) return null;
+    return {
+        kind: buffer[0],
+        id: buffer.toString('utf8', 2, 2 + idLength),
+        payload: buffer.subarray(2 + idLength),
+    };
+}
+
+/**
+ * Map a WebSocket close code to one that may be sent in a close frame.
+ * 1005/1006 only exist locally, so relayed closes fall back to 1000.
+ * @param {number} code - Close code received from the other side
+ * @returns {number}
+ */
+export function relayableCloseCode(code) {
+    if ((code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1014) || (code >= 3000 && code <= 4999)) {
+        return code;
+    }
+    return 1000;
+}
+
+// Headers that only apply to a single connection (RFC 9110 §7.6.1); a proxy
+// must not pass them on in either direction
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
+
+/**
+ * Copy headers without the hop-by-hop ones, including any listed in `Connection`
+ * @param {Object} headers - Lowercase header names, as Node and axios give them
+ * @returns {Object}
+ */
+export function stripHopByHopHeaders(headers = {}) {
+    const listed = String(headers.connection || '').split(',').map(name => name.trim().toLowerCase());
+    const result = {};
+    for (const [name, value] of Object.entries(headers)) {
+        if (!HOP_BY_HOP_HEADERS.includes(name) && !listed.includes(name)) {
+            result[name] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Send a binary frame, pausing the stream it was read from while the socket
+ * has more than HIGH_WATER_MARK bytes queued. The stream resumes once this
+ * frame, and so everything queued before it, has been flushed.
+ * @param {WebSocket} ws - Tunnel WebSocket
+ * @param {Buffer} frame - Frame built with encodeFrame()
+ * @param {{ pause: Function, resume: Function }} [source] - Readable the payload came from
+ */
+export function sendFrame(ws, frame, source) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    const congested = source && ws.bufferedAmount + frame.length > HIGH_WATER_MARK;
+    if (congested) {
+        source.pause();
+        ws.send(frame, () => source.resume());
+    } else {
+        ws.send(frame);
+    }
+}
+
+/**
+ * Pause and resume a readable for two independent reasons: a congested tunnel
+ * socket (pass the controller to sendFrame() as its source) and the other side
+ * asking for it with `pause`. Reading only resumes once neither applies.
+ * @param {{ pause: Function, resume: Function }} stream
+ */
+export function createFlowControl(stream) {
+    let congested = false;
+    let pausedByPeer = false;
+    const update = () => (congested || pausedByPeer ? stream.pause() : stream.resume());
+
+    return {
+        pause() {
+            congested = true;
+            update();
+        },
+        resume() {
+            congested = false;
+            update();
+        },
+        /** @param {boolean} paused - From a `pause` (true) or `resume` (false) message */
+        setPausedByPeer(paused) {
+            pausedByPeer = paused;
+            update();
+        },
+    };
+}
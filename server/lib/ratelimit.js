@@ -0,0 +1,106 @@
+// Token-bucket rate limiting at the tunnel edge. A limit like "600/m" is a
+// bucket of 600 tokens refilled at 600 per minute: bursts up to the full
+// bucket are fine, sustained traffic is held to the rate.
+
+const WINDOWS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * Parse a limit like "100/s", "600/m" or "10000/h"
+ * @param {string} spec
+ * @returns {{ limit: number, windowMs: number }}
+ * @throws {Error} If the spec is malformed
+ */
+export function parseRateLimit(spec) {
+    const match = /^\s*(\d+)\s*\/\s*(s|m|h)\s*$/i.exec(String(spec));
+    if (!match || Number(match[1]) < 1) {
+        throw new Error(`Invalid rate limit "${spec}" (use requests per s, m or h, e.g. 600/m)`);
+    }
+    return { limit: Number(match[1]), windowMs: WINDOWS[match[2].toLowerCase()] };
+}
+
+/**
+ * Format a parsed limit back into "600/m" form
+ * @param {{ limit: number, windowMs: number }} rule
+ * @returns {string}
+ */
+export function formatRateLimit({ limit, windowMs }) {
+    const unit = Object.keys(WINDOWS).find(key => WINDOWS[key] === windowMs);
+    return `${limit}/${unit}`;
+}
+
+/**
+ * The stricter of two limits (the lower sustained rate); either may be null for "no limit"
+ * @param {?{ limit: number, windowMs: number }} a
+ * @param {?{ limit: number, windowMs: number }} b
+ */
+export function stricterRateLimit(a, b) {
+    if (!a || !b) return a || b;
+    return a.limit / a.windowMs <= b.limit / b.windowMs ? a : b;
+}
+
+/**
+ * In-memory token buckets keyed by tunnel or tunnel + client IP
+ */
+export function createRateLimiter() {
+    const buckets = new Map(); // key → { tokens, updatedAt, windowMs }
+
+    /**
+     * Take one token from a bucket
+     * @param {string} key
+     * @param {{ limit: number, windowMs: number }} rule
+     * @returns {{ allowed: boolean, limit: number, remaining: number, resetSeconds: number, retryAfterSeconds: number, windowSeconds: number }}
+     */
+    function take(key, { limit, windowMs }) {
+        const now = Date.now();
+        const refillPerMs = limit / windowMs;
+        const bucket = buckets.get(key) || { tokens: limit, updatedAt: now };
+
+        bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+        bucket.windowMs = windowMs;
+
+        const allowed = bucket.tokens >= 1;
+        if (allowed) {
+            bucket.tokens -= 1;
+        }
+        buckets.set(key, bucket);
+
+        return {
+            allowed,
+            limit,
+            remaining: Math.floor(bucket.tokens),
+            // Until the bucket is full again
+            resetSeconds: Math.ceil((limit - bucket.tokens) / refillPerMs / 1000),
+            // Until the next token
+            retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)),
+            windowSeconds: Math.round(windowMs / 1000)
+        };
+    }
+
+    // Drop buckets idle for a whole window: they are full again, same as a new one
+    function prune() {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (now - bucket.updatedAt >= bucket.windowMs) {
+                buckets.delete(key);
+            }
+        }
+    }
+
+    return { take, prune, get size() { return buckets.size; } };
+}
+
+/**
+ * Headers for a rate-limited response (IETF RateLimit header fields draft)
+ * @param {ReturnType<ReturnType<typeof createRateLimiter>['take']>} result
+ * @returns {Object<string, string>}
+ */
+export function rateLimitHeaders(result) {
+    return {
+        'Retry-After': String(result.retryAfterSeconds),
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.resetSeconds),
+        'RateLimit-Policy': `${result.limit};w=${result.windowSeconds}`
+    };
+}
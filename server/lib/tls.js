@@ -0,0 +1,165 @@
+// TLS termination for HTTPS and WSS. A default certificate (for the base host,
+// or a wildcard for *.TUNNEL_DOMAIN) plus any number of certificates from a
+// directory, picked per hostname via SNI from the names they are valid for.
+// The files are polled and re-read when they change, so renewed certificates
+// are served without a restart.
+
+import fs from 'fs/promises';
+import path from 'path';
+import tls from 'tls';
+import crypto from 'crypto';
+
+/**
+ * DNS names a certificate is valid for: its subjectAltName entries, else its CN
+ * @param {string|Buffer} certPem
+ * @returns {string[]} Lower-cased names, wildcards as "*.example.com"
+ */
+export function certificateHostnames(certPem) {
+    const certificate = new crypto.X509Certificate(certPem);
+    const names = (certificate.subjectAltName || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.startsWith('DNS:'))
+        .map(entry => entry.slice(4).toLowerCase());
+
+    if (names.length === 0) {
+        const commonName = /CN=([^\n,]+)/.exec(certificate.subject);
+        if (commonName) names.push(commonName[1].trim().toLowerCase());
+    }
+    return names;
+}
+
+/**
+ * Entry for a hostname from a name → value map: the exact name first, then a
+ * wildcard for its parent domain (which covers one label only, as in TLS)
+ * @param {Map<string, *>} byName
+ * @param {string} hostname
+ */
+export function matchHostname(byName, hostname) {
+    const name = String(hostname || '').toLowerCase().replace(/\.$/, '');
+    if (byName.has(name)) {
+        return byName.get(name);
+    }
+    const dot = name.indexOf('.');
+    return dot > 0 ? byName.get(`*${name.slice(dot)}`) : undefined;
+}
+
+// Certificate/key pairs in a directory: certbot-style subdirectories with
+// fullchain.pem and privkey.pem, or "<name>.crt" next to "<name>.key"
+async function listCertificatePairs(certsDir) {
+    const pairs = [];
+    for (const entry of await fs.readdir(certsDir, { withFileTypes: true })) {
+        const entryPath = path.join(certsDir, entry.name);
+        if (entry.isDirectory() || entry.isSymbolicLink()) {
+            const certFile = path.join(entryPath, 'fullchain.pem');
+            const keyFile = path.join(entryPath, 'privkey.pem');
+            if (await fs.stat(certFile).catch(() => null) && await fs.stat(keyFile).catch(() => null)) {
+                pairs.push({ certFile, keyFile });
+            }
+        } else if (entry.name.endsWith('.crt')) {
+            const keyFile = path.join(certsDir, `${entry.name.slice(0, -4)}.key`);
+            if (await fs.stat(keyFile).catch(() => null)) {
+                pairs.push({ certFile: entryPath, keyFile });
+            }
+        }
+    }
+    return pairs;
+}
+
+// Modification times and sizes of every file, to notice renewals. stat()
+// follows symlinks, so certbot swapping its live/ links counts as a change.
+async function fingerprint(pairs) {
+    const parts = [];
+    for (const { certFile, keyFile } of pairs) {
+        for (const file of [certFile, keyFile]) {
+            const stats = await fs.stat(file);
+            parts.push(`${file}:${stats.mtimeMs}:${stats.size}`);
+        }
+    }
+    return parts.join('|');
+}
+
+/**
+ * Load certificates and keep them in sync with the files on disk
+ * @param {Object} options
+ * @param {string} options.certFile - Default certificate chain (PEM)
+ * @param {string} options.keyFile - Its private key (PEM)
+ * @param {string} [options.certsDir] - Directory of per-hostname certificates
+ * @param {number} [options.reloadIntervalMs=60000] - How often to check the files
+ * @param {(store: Object) => void} [options.onReload] - After certificates changed on disk
+ * @param {(error: Error) => void} [options.onError] - A reload failed; the previous certificates stay in use
+ * @throws {Error} If the initial certificates can't be loaded
+ */
+export async function createCertificateStore({ certFile, keyFile, certsDir, reloadIntervalMs = 60 * 1000, onReload, onError }) {
+    let defaultCredentials = null;
+    let contexts = new Map(); // hostname or *.domain → SecureContext
+    let loadedFingerprint = null;
+
+    async function load() {
+        const extraPairs = certsDir ? await listCertificatePairs(certsDir) : [];
+        const pairs = [{ certFile, keyFile }, ...extraPairs];
+        const currentFingerprint = await fingerprint(pairs);
+        if (currentFingerprint === loadedFingerprint) {
+            return false;
+        }
+
+        // Build everything before swapping, so a half-written renewal never
+        // replaces working certificates
+        const nextContexts = new Map();
+        let nextDefault = null;
+        for (const pair of pairs) {
+            const [cert, key] = await Promise.all([fs.readFile(pair.certFile), fs.readFile(pair.keyFile)]);
+            const context = tls.createSecureContext({ cert, key });
+            nextDefault ??= { cert, key };
+            // The default pair comes first, so per-hostname files win over it
+            for (const hostname of certificateHostnames(cert)) {
+                nextContexts.set(hostname, context);
+            }
+        }
+
+        defaultCredentials = nextDefault;
+        contexts = nextContexts;
+        loadedFingerprint = currentFingerprint;
+        return true;
+    }
+
+    await load();
+
+    const timer = setInterval(() => {
+        load()
+            .then(changed => changed && onReload?.(store))
+            .catch(error => onError?.(error));
+    }, reloadIntervalMs);
+    timer.unref();
+
+    const store = {
+        /** Default certificate and key, for clients that send no SNI */
+        get defaultCredentials() {
+            return defaultCredentials;
+        },
+
+        /** Hostnames (and wildcards) a certificate is loaded for */
+        hostnames() {
+            return Array.from(contexts.keys());
+        },
+
+        /**
+         * Whether a loaded certificate covers a hostname
+         * @param {string} hostname
+         */
+        hasCertificate(hostname) {
+            return Boolean(matchHostname(contexts, hostname));
+        },
+
+        /** For tls.Server: unknown names get the default certificate */
+        SNICallback(servername, callback) {
+            callback(null, matchHostname(contexts, servername));
+        },
+
+        close() {
+            clearInterval(timer);
+        }
+    };
+
+    return store;
+}
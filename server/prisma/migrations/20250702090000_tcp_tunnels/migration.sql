@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "tunnels" ADD COLUMN     "remotePort" INTEGER;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "tunnels" ADD COLUMN     "accessTokenHash" TEXT,
+ADD COLUMN     "basicAuth" TEXT;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "daily_stats" ADD COLUMN     "blockedRequests" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "hourly_stats" ADD COLUMN     "blockedRequests" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "tunnels" ADD COLUMN     "ipAllow" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "ipDeny" TEXT[] DEFAULT ARRAY[]::TEXT[];
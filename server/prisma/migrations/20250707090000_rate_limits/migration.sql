@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "daily_stats" ADD COLUMN     "rateLimitedRequests" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "hourly_stats" ADD COLUMN     "rateLimitedRequests" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "tunnels" ADD COLUMN     "rateLimits" JSONB;
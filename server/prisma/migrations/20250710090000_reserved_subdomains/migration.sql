@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "reserved_subdomains" (
+    "id" TEXT NOT NULL,
+    "subdomain" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reserved_subdomains_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "reserved_subdomains_subdomain_key" ON "reserved_subdomains"("subdomain");
+
+-- CreateIndex
+CREATE INDEX "reserved_subdomains_userId_idx" ON "reserved_subdomains"("userId");
+
+-- AddForeignKey
+ALTER TABLE "reserved_subdomains" ADD CONSTRAINT "reserved_subdomains_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -1,20 +1,127 @@
 import express from 'express';
 import http from 'http';
+import https from 'https';
+import net from 'net';
 import WebSocket, { WebSocketServer } from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
-import { PrismaClient } from '@prisma/client'
+import { PrismaClient, Prisma } from '@prisma/client'
+import { parseTunnelAccess, checkTunnelAccess, isProtected, parseIpRules, createIpMatcher, compileIpRules, isIpAllowed, normalizeIp, hashSecret } from './lib/access.js';
+import { isApiKey, generateApiKey, parseSubdomainRules, isSubdomainAllowed } from './lib/apikeys.js';
+import { parseRateLimit, formatRateLimit, stricterRateLimit, createRateLimiter, rateLimitHeaders } from './lib/ratelimit.js';
+import { createCertificateStore } from './lib/tls.js';
+import { domainVerificationRecord, createResolver, verifyDomainOwnership } from './lib/domains.js';
+import { FRAME_DATA, FRAME_WS_TEXT, FRAME_WS_BINARY, FRAME_TCP_DATA, encodeFrame, decodeFrame, relayableCloseCode, sendFrame, createFlowControl, stripHopByHopHeaders } from './lib/protocol.js';
 dotenv.config();
 
+// Public routing. Path-prefix URLs (`BASE_URL/{subdomain}/...`) always work;
+// with TUNNEL_DOMAIN set (and wildcard DNS pointing at this server), tunnels
+// are also served from `{subdomain}.TUNNEL_DOMAIN` using the Host header.
+const BASE_URL = (process.env.BASE_URL || `http://localhost:${process.env.PORT || 8080}`).replace(/\/+$/, '');
+const TUNNEL_DOMAIN = process.env.TUNNEL_DOMAIN?.trim().toLowerCase() || null;
+
+// HTTPS and WSS: with TLS_CERT_FILE and TLS_KEY_FILE (e.g. a wildcard for
+// *.TUNNEL_DOMAIN) the server also listens on HTTPS_PORT. TLS_CERTS_DIR adds
+// certificates picked by hostname via SNI, such as those of tunnels' custom
+// domains. All of them are re-read when the files change. HTTP_REDIRECT=true
+// sends plain HTTP requests to HTTPS; WebSocket upgrades still work on both.
+const TLS_ENABLED = Boolean(process.env.TLS_CERT_FILE && process.env.TLS_KEY_FILE);
+const HTTPS_PORT = parseInt(process.env.HTTPS_PORT || '8443');
+const HTTP_REDIRECT = TLS_ENABLED && process.env.HTTP_REDIRECT === 'true';
+const TLS_RELOAD_INTERVAL_MS = parseInt(process.env.TLS_RELOAD_INTERVAL_MS || '60000');
+
+// Published in /.well-known/ghostgate so the CLI only needs the server's URL:
+// where agents connect (default: BASE_URL as ws:// or wss://) and the web app
+// that signs users in and hands out tokens
+const AGENT_WS_URL = (process.env.AGENT_WS_URL || BASE_URL.replace(/^http/, 'ws')).replace(/\/+$/, '');
+const AUTH_URL = (process.env.AUTH_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// TCP tunnels get a public port from this range, reachable on TCP_HOST
+const [TCP_PORT_MIN, TCP_PORT_MAX] = (process.env.TCP_PORT_RANGE || '30000-30100').split('-').map(Number);
+const TCP_HOST = process.env.TCP_HOST || new URL(BASE_URL).hostname;
+
+// Names no tunnel may use, so they stay free for the server and its web app
+// (and never shadow /api/... in path-prefix URLs). BLOCKED_SUBDOMAINS replaces
+// the default list. Users may also reserve up to MAX_RESERVED_SUBDOMAINS
+// names of their own.
+const BLOCKED_SUBDOMAINS = new Set(
+    (process.env.BLOCKED_SUBDOMAINS || 'admin,api,app,assets,auth,dashboard,docs,help,login,mail,static,status,support,www')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean)
+);
+const MAX_RESERVED_SUBDOMAINS = parseInt(process.env.MAX_RESERVED_SUBDOMAINS || '10');
+
+// Proxies (load balancers, CDNs) in front of this server, as addresses or CIDR
+// ranges. X-Forwarded-For and friends are only believed when they come from
+// one of them; otherwise any client could pick its own address.
+const TRUSTED_PROXIES = process.env.TRUSTED_PROXIES ?
+    createIpMatcher(parseIpRules(process.env.TRUSTED_PROXIES.split(',').map(rule => rule.trim()).filter(Boolean))) :
+    null;
+
+// Forwarding limits: at most MAX_INFLIGHT_PER_TUNNEL requests are at an agent at
+// once (agents may ask for fewer), MAX_QUEUE_PER_TUNNEL more wait, the rest get 503
+const MAX_INFLIGHT_PER_TUNNEL = parseInt(process.env.MAX_INFLIGHT_PER_TUNNEL || '32');
+const MAX_QUEUE_PER_TUNNEL = parseInt(process.env.MAX_QUEUE_PER_TUNNEL || '100');
+const QUEUE_RETRY_AFTER_SECONDS = 5;
+
+// Visitor rate limits as requests per s, m or h (e.g. 600/m): one bucket for
+// each tunnel and one for each client IP of a tunnel. Tunnels may ask for their
+// own limits when they register; the stricter of the two applies.
+const RATE_LIMIT_PER_TUNNEL = process.env.RATE_LIMIT_PER_TUNNEL ? parseRateLimit(process.env.RATE_LIMIT_PER_TUNNEL) : null;
+const RATE_LIMIT_PER_IP = process.env.RATE_LIMIT_PER_IP ? parseRateLimit(process.env.RATE_LIMIT_PER_IP) : null;
+
+// How long the agent has to start a response. Tunnels may choose their own
+// timeout (for long-polling or slow reports) up to MAX_REQUEST_TIMEOUT_MS.
+const DEFAULT_REQUEST_TIMEOUT_MS = parseInt(process.env.REQUEST_TIMEOUT_MS || '10000');
+const MAX_REQUEST_TIMEOUT_MS = parseInt(process.env.MAX_REQUEST_TIMEOUT_MS || '300000');
+
+// Heartbeats: every agent is pinged each interval and any traffic counts as a
+// sign of life. Agents silent for HEARTBEAT_MAX_MISSED intervals are evicted.
+// Agents receive the same settings in `welcome` and ping the server in turn.
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.HEARTBEAT_INTERVAL_MS || '30000');
+const HEARTBEAT_MAX_MISSED = parseInt(process.env.HEARTBEAT_MAX_MISSED || '2');
+
 const app = express();
-const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const server = http.createServer(HTTP_REDIRECT ? redirectToHttps : app);
+const certificates = TLS_ENABLED ? await createCertificateStore({
+    certFile: process.env.TLS_CERT_FILE,
+    keyFile: process.env.TLS_KEY_FILE,
+    certsDir: process.env.TLS_CERTS_DIR,
+    reloadIntervalMs: TLS_RELOAD_INTERVAL_MS,
+    onReload: (store) => {
+        tlsServer.setSecureContext(store.defaultCredentials);
+        logWithTimestamp('SUCCESS', `🔒 TLS certificates reloaded`, { hostnames: store.hostnames() });
+        warnUncoveredDomains(Array.from(customDomains.keys()));
+    },
+    onError: (error) => {
+        logWithTimestamp('ERROR', `Failed to reload TLS certificates, keeping the current ones`, { error: error.message });
+    }
+}) : null;
+const tlsServer = certificates ?
+    https.createServer({ ...certificates.defaultCredentials, SNICallback: certificates.SNICallback }, app) :
+    null;
+// Agents connect on `/`; every other upgrade is a visitor WebSocket for a tunnel
+const wss = new WebSocketServer({ noServer: true });
+const visitorWss = new WebSocketServer({
+    noServer: true,
+    // Accept whichever subprotocol the local app picked
+    handleProtocols: (protocols, req) => req.tunnelProtocol || false
+});
 const prisma = new PrismaClient();
 
 // In-memory store for active agents: tunnelId → WebSocket
 const agents = new Map();
-const pendingResponses = new Map(); // requestId → Express `res`
+const pendingResponses = new Map(); // requestId → { res, tunnelId, agent, timeoutId }
+const tunnelSockets = new Map(); // socketId → { tunnelId, agent, req, socket, head, timeoutId, visitor }
+const tcpListeners = new Map(); // tunnelId → { server, agent, port }
+const tcpConnections = new Map(); // connectionId → { socket, agent, tunnelId, flow, paused }
+const requestQueues = new Map(); // tunnelId → { inflight, waiting: [{ res, grant }] }
+const rateLimiter = createRateLimiter(); // tunnelId or tunnelId|ip → token bucket
+const customDomains = new Map(); // hostname → tunnelId, for tunnels with a verified customDomain
+const dnsResolver = createResolver();
+const tunnelIpRules = new Map(); // tunnelId → { key, rules } from compileIpRules()
 
 // Analytics buffer and tracking
 const metricsBuffer = [];
@@ -46,6 +153,98 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+// Clamp a requested timeout to the server maximum; null means "use the default"
+function clampRequestTimeout(timeout) {
+    const value = parseInt(timeout);
+    if (!value || value <= 0) return null;
+    return Math.min(value, MAX_REQUEST_TIMEOUT_MS);
+}
+
+function getRequestTimeout(tunnel) {
+    return clampRequestTimeout(tunnel.requestTimeout) || Math.min(DEFAULT_REQUEST_TIMEOUT_MS, MAX_REQUEST_TIMEOUT_MS);
+}
+
+// Keep only well-formed entries of the route table an agent reports
+// (path prefix → local target); null when the agent has none
+function sanitizeRoutes(routes) {
+    if (!Array.isArray(routes)) return null;
+
+    const sanitized = routes
+        .filter(route => route && typeof route.path === 'string' && typeof route.target === 'string')
+        .slice(0, 50)
+        .map(route => ({
+            path: route.path.substring(0, 200),
+            target: route.target.substring(0, 500),
+            stripPrefix: Boolean(route.stripPrefix)
+        }));
+    return sanitized.length ? sanitized : null;
+}
+
+// Rate limits an agent asked for, validated; null when it asked for none
+function sanitizeRateLimits({ tunnel, ip }) {
+    const limits = {};
+    for (const [scope, spec] of Object.entries({ tunnel, ip })) {
+        if (spec !== undefined && spec !== null) {
+            limits[scope] = formatRateLimit(parseRateLimit(spec));
+        }
+    }
+    return Object.keys(limits).length ? limits : null;
+}
+
+// Limits in force for a tunnel: its own, tightened by the server's
+function getRateLimits(tunnel) {
+    const own = tunnel.rateLimits || {};
+    return {
+        tunnel: stricterRateLimit(RATE_LIMIT_PER_TUNNEL, own.tunnel ? parseRateLimit(own.tunnel) : null),
+        ip: stricterRateLimit(RATE_LIMIT_PER_IP, own.ip ? parseRateLimit(own.ip) : null)
+    };
+}
+
+// Limits in force as "600/m" strings, for agents and API responses
+function describeRateLimits(tunnel) {
+    const limits = getRateLimits(tunnel);
+    if (!limits.tunnel && !limits.ip) return undefined;
+    return {
+        tunnel: limits.tunnel ? formatRateLimit(limits.tunnel) : null,
+        ip: limits.ip ? formatRateLimit(limits.ip) : null
+    };
+}
+
+// A tunnel's IP rules, compiled when they are first needed or have changed
+// since (tunnel records are re-read per request, the matchers are kept here)
+function getTunnelIpRules(tunnel) {
+    const key = `${(tunnel.ipAllow || []).join(',')}|${(tunnel.ipDeny || []).join(',')}`;
+    let cached = tunnelIpRules.get(tunnel.id);
+    if (!cached || cached.key !== key) {
+        cached = { key, rules: compileIpRules(tunnel) };
+        tunnelIpRules.set(tunnel.id, cached);
+    }
+    return cached.rules;
+}
+
+// Take a token from the client's bucket, then the tunnel's. Returns the state
+// of the bucket that ran dry, or null when the request may go through.
+// clientIp must come from getClientIP(), never straight from request headers.
+function checkRateLimits(tunnel, clientIp) {
+    const limits = getRateLimits(tunnel);
+    if (limits.ip) {
+        const result = rateLimiter.take(`${tunnel.id}|${clientIp}`, limits.ip);
+        if (!result.allowed) return result;
+    }
+    if (limits.tunnel) {
+        const result = rateLimiter.take(tunnel.id, limits.tunnel);
+        if (!result.allowed) return result;
+    }
+    return null;
+}
+
+// Send a JSON control message to an agent, skipping sockets that already closed
+function sendControl(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
 // User management functions
 async function ensureUserExists(userData) {
     try {
@@ -98,32 +297,196 @@ async function ensureUserExists(userData) {
     }
 }
 
-// Generate unique subdomain
-async function generateUniqueSubdomain(baseName, userId) {
-    const baseSubdomain = baseName ?
-        baseName.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 20) :
-        `tunnel-${userId.substring(0, 8)}`;
+// Verify a CLI token and the device session it was issued for (its `jti`),
+// or an API key. Tokens signed before device sessions existed have no `jti`;
+// they cannot be revoked and are accepted until they expire.
+async function authenticateToken(token, clientIp) {
+    if (isApiKey(token)) {
+        return authenticateApiKey(token, clientIp);
+    }
+
+    const JWT_SECRET = process.env.JWT_SECRET?.trim();
+    if (!JWT_SECRET) {
+        throw new Error('JWT_SECRET not configured');
+    }
+
+    const userData = jwt.verify(token, JWT_SECRET);
+    if (!userData.jti) {
+        return userData;
+    }
+
+    const session = await prisma.deviceSession.findUnique({
+        where: { id: userData.jti }
+    });
+    if (!session || session.userId !== userData.userId) {
+        throw new Error('Unknown device session');
+    }
+    if (session.revokedAt) {
+        throw new Error('Device session revoked');
+    }
+    if (session.expiresAt < new Date()) {
+        throw new Error('Device session expired');
+    }
+
+    // Keep "last seen" fresh without writing on every API call
+    if (session.lastIp !== clientIp || !session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > 60 * 1000) {
+        await prisma.deviceSession.update({
+            where: { id: session.id },
+            data: { lastSeenAt: new Date(), lastIp: clientIp }
+        });
+    }
+
+    return userData;
+}
 
-    let subdomain = baseSubdomain;
-    let counter = 1;
+// Same user data as a token carries, plus the key's ID and subdomain limits
+async function authenticateApiKey(key, clientIp) {
+    const apiKey = await prisma.apiKey.findUnique({
+        where: { keyHash: hashSecret(key) },
+        include: { user: true }
+    });
+    if (!apiKey) {
+        throw new Error('Unknown API key');
+    }
+    if (apiKey.revokedAt) {
+        throw new Error('API key revoked');
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+        throw new Error('API key expired');
+    }
 
-    while (true) {
-        const existing = await prisma.tunnel.findUnique({
-            where: { subdomain }
+    if (apiKey.lastIp !== clientIp || !apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+        await prisma.apiKey.update({
+            where: { id: apiKey.id },
+            data: { lastUsedAt: new Date(), lastIp: clientIp }
         });
+    }
+
+    return {
+        userId: apiKey.userId,
+        email: apiKey.user.email,
+        apiKeyId: apiKey.id,
+        subdomains: apiKey.subdomains
+    };
+}
+
+// A DNS label: lowercase letters, digits and inner hyphens, at most 63
+const SUBDOMAIN_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// Whether a user may bind a subdomain to one of their tunnels (`tunnelId`:
+// the tunnel being registered or moved, if any). Path-prefix URLs look tunnels
+// up by subdomain or ID, so another tunnel's ID counts as taken too.
+// Returns null, or a structured error ({ code, message, error }).
+async function checkSubdomainClaim(subdomain, userId, tunnelId = null) {
+    if (typeof subdomain !== 'string' || !SUBDOMAIN_PATTERN.test(subdomain)) {
+        return {
+            code: 'invalid_subdomain',
+            message: 'Invalid subdomain',
+            error: `"${subdomain}" is not a valid subdomain; use lowercase letters, digits and hyphens (at most 63, not starting or ending with a hyphen)`
+        };
+    }
+
+    if (BLOCKED_SUBDOMAINS.has(subdomain)) {
+        return {
+            code: 'subdomain_blocked',
+            message: 'Subdomain not available',
+            error: `"${subdomain}" is reserved by the server`
+        };
+    }
 
-        if (!existing) {
-            return subdomain;
+    const reservation = await prisma.reservedSubdomain.findUnique({
+        where: { subdomain }
+    });
+    if (reservation && reservation.userId !== userId) {
+        return {
+            code: 'subdomain_reserved',
+            message: 'Subdomain reserved',
+            error: `"${subdomain}" is reserved by another user`
+        };
+    }
+
+    const holder = await prisma.tunnel.findFirst({
+        where: {
+            ...(tunnelId ? { id: { not: tunnelId } } : {}),
+            OR: [{ subdomain }, { id: subdomain }]
         }
+    });
+    if (holder) {
+        return holder.userId === userId ? {
+            code: 'subdomain_in_use',
+            message: 'Subdomain in use',
+            error: `Your tunnel "${holder.name}" already uses "${subdomain}"`
+        } : {
+            code: 'subdomain_taken',
+            message: 'Subdomain taken',
+            error: `"${subdomain}" is used by another user's tunnel`
+        };
+    }
+
+    return null;
+}
+
+// HTTP status for a checkSubdomainClaim() error
+function claimErrorStatus(conflict) {
+    return conflict.code === 'invalid_subdomain' ? 400 : 409;
+}
+
+// Tell an agent why it may not register a tunnel and drop the tunnel with
+// 4003. `code` lets clients tell the cases apart without parsing the message.
+function refuseRegistration(ws, tunnelId, { code, message, error }) {
+    logWithTimestamp('WARN', `⛔ Registration refused`, { tunnelId, code, error });
+    sendControl(ws, { type: 'error', tunnelId, code, message, error });
+    closeAgentTunnel(ws, tunnelId, 4003, message);
+}
+
+// Take one tunnel off an agent connection. Agents that multiplex tunnels
+// (`multiplex` on register) get `tunnel-closed` with the close code the
+// connection would otherwise have been closed with, and keep their others.
+function closeAgentTunnel(ws, tunnelId, code, reason) {
+    releaseAgentTunnel(ws, tunnelId);
+    if (ws.multiplexed) {
+        sendControl(ws, { type: 'tunnel-closed', tunnelId, code, reason });
+    } else {
+        ws.close(code, reason);
+    }
+}
 
-        subdomain = `${baseSubdomain}-${counter}`;
-        counter++;
+// Fail what a tunnel has in flight on an agent connection and stop serving
+// the tunnel through it; the tunnel record and `agents` are left to the caller
+function releaseAgentTunnel(ws, tunnelId) {
+    ws.tunnels.delete(tunnelId);
+
+    // Fail requests waiting on this agent right away instead of at their timeout
+    for (const [requestId, pending] of pendingResponses) {
+        if (pending.agent !== ws || pending.tunnelId !== tunnelId) continue;
+        pendingResponses.delete(requestId);
+        clearTimeout(pending.timeoutId);
+        if (pending.res.headersSent) {
+            pending.res.destroy();
+        } else {
+            pending.res.status(502).json({
+                error: 'Tunnel not connected',
+                message: 'The tunnel disconnected before responding'
+            });
+        }
+    }
 
-        // Prevent infinite loops
-        if (counter > 100) {
-            return `${baseSubdomain}-${Date.now()}`;
+    // Drop visitor WebSockets relayed through this agent
+    for (const [socketId, entry] of tunnelSockets) {
+        if (entry.agent !== ws || entry.tunnelId !== tunnelId) continue;
+        tunnelSockets.delete(socketId);
+        clearTimeout(entry.timeoutId);
+        if (entry.visitor) {
+            entry.visitor.close(1001, 'Tunnel disconnected');
+        } else {
+            rejectUpgrade(entry.socket, 502, 'Tunnel disconnected');
         }
     }
+
+    // Stop listening on the public TCP port served by this agent
+    if (tcpListeners.get(tunnelId)?.agent === ws) {
+        closeTcpListener(tunnelId);
+    }
 }
 
 // Analytics middleware
@@ -152,42 +515,68 @@ async function storeReqData(req, res, tunnelId) {
         requestSize: formatBytes(parseInt(req.get('content-length') || '0'))
     });
 
-    // Hook into response finish
-    const originalSend = res.send;
-    const originalStatus = res.status;
-    let statusCode = 200;
+    // Hook into response completion. Bodies are streamed with res.write(), so
+    // count bytes as they go out and record once the response is closed.
+    const originalWrite = res.write;
+    const originalEnd = res.end;
     let responseSize = 0;
 
-    res.status = function (code) {
-        statusCode = code;
-        return originalStatus.call(this, code);
+    const countBytes = (chunk, encoding) => {
+        if (chunk && typeof chunk !== 'function') {
+            responseSize += Buffer.isBuffer(chunk) ?
+                chunk.length :
+                Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+        }
+    };
+
+    res.write = function (chunk, encoding, ...args) {
+        countBytes(chunk, encoding);
+        return originalWrite.call(this, chunk, encoding, ...args);
+    };
+
+    res.end = function (chunk, encoding, ...args) {
+        countBytes(chunk, encoding);
+        return originalEnd.call(this, chunk, encoding, ...args);
     };
 
-    res.send = function (data) {
+    res.once('close', () => {
         const responseTime = Date.now() - startTime;
-        responseSize = Buffer.byteLength(data || '', 'utf8');
 
         logWithTimestamp('DEBUG', `📤 Outgoing response`, {
             requestId: requestId.substring(0, 8),
-            statusCode,
+            statusCode: res.statusCode,
             responseTime: `${responseTime}ms`,
-            responseSize: formatBytes(responseSize)
+            responseSize: formatBytes(responseSize),
+            completed: res.writableFinished
         });
 
         // Capture metrics
-        storeRespData(requestId, statusCode, responseTime, responseSize);
-
-        return originalSend.call(this, data);
-    };
+        storeRespData(requestId, res.statusCode, responseTime, responseSize);
+    });
 
     return requestId;
 }
 
+// Flag a tracked request as turned away by the server ('ip', ...) so it is
+// counted as blocked rather than as an error of the tunnel's app
+function markBlocked(requestId, reason) {
+    const requestData = activeRequests.get(requestId);
+    if (requestData) {
+        requestData.blocked = reason;
+    }
+}
+
+// Error responses of the tunnel's app; requests the server turned away
+// (markBlocked) have their own counters
+function isErrorMetric(metric) {
+    return metric.statusCode >= 400 && !metric.blocked;
+}
+
 async function storeRespData(requestId, statusCode, responseTime, responseSize) {
     const requestData = activeRequests.get(requestId);
     if (!requestData) return;
 
-    const { tunnelId, req, clientIp, requestSize } = requestData;
+    const { tunnelId, req, clientIp, requestSize, blocked } = requestData;
 
     // Get country from IP
     const country = await getCountryFromIP(clientIp);
@@ -203,6 +592,7 @@ async function storeRespData(requestId, statusCode, responseTime, responseSize)
         responseSize,
         clientIp,
         userAgent: req.get('user-agent'),
+        blocked,
         timestamp: new Date()
     };
 
@@ -274,15 +664,35 @@ async function storeRequestLog(metric) {
     }
 }
 
-// Get client IP from various headers
+// Whether a request came straight from one of TRUSTED_PROXIES, the only peers
+// whose X-Forwarded-* and Forwarded headers are believed
+function isFromTrustedProxy(req) {
+    return Boolean(TRUSTED_PROXIES?.(normalizeIp(req.socket.remoteAddress)));
+}
+
+// Address of the visitor: the socket peer, unless that peer is one of
+// TRUSTED_PROXIES, in which case X-Forwarded-For is walked from the nearest hop
+// back to the first address that is not one of our proxies. Forwarding headers
+// from anyone else are ignored, so clients can't pick their own address.
 function getClientIP(req) {
-    return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-        req.headers['x-real-ip'] ||
-        req.headers['cf-connecting-ip'] ||
-        req.connection.remoteAddress ||
-        req.socket.remoteAddress ||
-        (req.connection.socket ? req.connection.socket.remoteAddress : null) ||
-        'unknown';
+    const peer = normalizeIp(req.socket.remoteAddress) || 'unknown';
+    if (!isFromTrustedProxy(req)) {
+        return peer;
+    }
+
+    const hops = (req.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(hop => normalizeIp(hop))
+        .filter(Boolean);
+    for (let i = hops.length - 1; i >= 0; i--) {
+        if (!TRUSTED_PROXIES(hops[i])) {
+            return hops[i];
+        }
+    }
+
+    return hops[0] ||
+        normalizeIp(req.headers['x-real-ip'] || req.headers['cf-connecting-ip']) ||
+        peer;
 }
 
 // Update live stats for real-time dashboard
@@ -295,14 +705,14 @@ async function updateLiveStats(tunnelId, metric) {
                 requestsLast5Min: 1,
                 requestsLast1Hour: 1,
                 avgResponseTime: metric.responseTime,
-                errorRate: metric.statusCode >= 400 ? 1 : 0,
+                errorRate: isErrorMetric(metric) ? 1 : 0,
                 lastUpdated: new Date()
             },
             update: {
                 requestsLast5Min: { increment: 1 },
                 requestsLast1Hour: { increment: 1 },
                 avgResponseTime: metric.responseTime,
-                errorRate: metric.statusCode >= 400 ? { increment: 1 } : undefined,
+                errorRate: isErrorMetric(metric) ? { increment: 1 } : undefined,
                 lastUpdated: new Date()
             }
         });
@@ -312,7 +722,7 @@ async function updateLiveStats(tunnelId, metric) {
             requests1Hour: liveStats.requestsLast1Hour,
             avgResponseTime: `${liveStats.avgResponseTime}ms`,
             errorRate: liveStats.errorRate,
-            isError: metric.statusCode >= 400
+            isError: isErrorMetric(metric)
         });
 
     } catch (error) {
@@ -358,7 +768,7 @@ async function processMetricsBuffer() {
             tunnelSummary[metric.tunnelId] = { requests: 0, errors: 0, countries: new Set() };
         }
         tunnelSummary[metric.tunnelId].requests++;
-        if (metric.statusCode >= 400) tunnelSummary[metric.tunnelId].errors++;
+        if (isErrorMetric(metric)) tunnelSummary[metric.tunnelId].errors++;
         tunnelSummary[metric.tunnelId].countries.add(metric.country);
     });
 
@@ -389,7 +799,9 @@ async function updateHourlyStats(hourKey, metrics) {
     // Calculate aggregated metrics
     const totalRequests = metrics.length;
     const successRequests = metrics.filter(m => m.statusCode < 400).length;
-    const errorRequests = totalRequests - successRequests;
+    const errorRequests = metrics.filter(isErrorMetric).length;
+    const blockedRequests = metrics.filter(m => m.blocked === 'ip').length;
+    const rateLimitedRequests = metrics.filter(m => m.blocked === 'rate-limit').length;
     const avgResponseTime = metrics.reduce((sum, m) => sum + m.responseTime, 0) / totalRequests;
     const totalBandwidth = metrics.reduce((sum, m) => sum + m.requestSize + m.responseSize, 0);
 
@@ -435,6 +847,8 @@ async function updateHourlyStats(hourKey, metrics) {
         successRequests,
         errorRequests,
         errorRate: `${((errorRequests / totalRequests) * 100).toFixed(1)}%`,
+        blockedRequests,
+        rateLimitedRequests,
         avgResponseTime: `${avgResponseTime.toFixed(2)}ms`,
         totalBandwidth: formatBytes(totalBandwidth),
         uniqueIps,
@@ -453,6 +867,8 @@ async function updateHourlyStats(hourKey, metrics) {
                 totalRequests,
                 successRequests,
                 errorRequests,
+                blockedRequests,
+                rateLimitedRequests,
                 avgResponseTime,
                 totalBandwidth: BigInt(totalBandwidth),
                 uniqueIps,
@@ -464,6 +880,8 @@ async function updateHourlyStats(hourKey, metrics) {
                 totalRequests: { increment: totalRequests },
                 successRequests: { increment: successRequests },
                 errorRequests: { increment: errorRequests },
+                blockedRequests: { increment: blockedRequests },
+                rateLimitedRequests: { increment: rateLimitedRequests },
                 avgResponseTime: avgResponseTime,
                 totalBandwidth: { increment: BigInt(totalBandwidth) },
                 uniqueIps: { increment: uniqueIps },
@@ -524,8 +942,224 @@ async function getCountryFromIP(ip) {
     }
 }
 
-// Function to get tunnel by subdomain/agentId
+// Extract the tunnel subdomain from a `{subdomain}.TUNNEL_DOMAIN` host, or null
+function getSubdomainFromHost(host) {
+    if (!TUNNEL_DOMAIN || !host) return null;
+
+    const hostname = host.toLowerCase().replace(/:\d+$/, '');
+    const domain = TUNNEL_DOMAIN.replace(/:\d+$/, '');
+    if (!hostname.endsWith(`.${domain}`)) return null;
+
+    const subdomain = hostname.slice(0, -(domain.length + 1));
+    return subdomain && !subdomain.includes('.') ? subdomain : null;
+}
+
+// Tunnel reached through its own domain (Tunnel.customDomain), if any
+function getCustomDomainTunnelId(host) {
+    if (!host) return null;
+    return customDomains.get(host.toLowerCase().replace(/:\d+$/, '')) || null;
+}
+
+// Hosts that always belong to a tunnel, never to the server's own routes
+function isTunnelHost(host) {
+    return Boolean(getSubdomainFromHost(host) || getCustomDomainTunnelId(host));
+}
+
+// Custom domains are matched on every request, so they are kept in memory
+async function loadCustomDomains() {
+    const tunnels = await prisma.tunnel.findMany({
+        where: { customDomain: { not: null }, customDomainVerifiedAt: { not: null } },
+        select: { id: true, customDomain: true }
+    });
+    for (const tunnel of tunnels) {
+        customDomains.set(tunnel.customDomain, tunnel.id);
+    }
+    warnUncoveredDomains(Array.from(customDomains.keys()));
+    return customDomains.size;
+}
+
+// Certificates come from TLS_CERTS_DIR only; nothing is requested for a newly
+// verified domain, so HTTPS visitors of one without a certificate get the
+// default certificate and a browser warning until an operator adds one
+function warnUncoveredDomains(domains) {
+    const uncovered = certificates ? domains.filter(domain => !certificates.hasCertificate(domain)) : [];
+    if (uncovered.length > 0) {
+        logWithTimestamp('WARN', `🔓 Custom domains without a TLS certificate; add one to TLS_CERTS_DIR`, { domains: uncovered });
+    }
+}
+
+// With HTTP_REDIRECT: plain HTTP requests go to the same URL over HTTPS.
+// 308 keeps the method and body.
+function redirectToHttps(req, res) {
+    const base = new URL(BASE_URL);
+    const hostname = (req.headers.host || base.host).replace(/:\d+$/, '');
+    const port = base.protocol === 'https:' ? base.port : String(HTTPS_PORT);
+    res.writeHead(308, { Location: `https://${hostname}${port && port !== '443' ? `:${port}` : ''}${req.url}` });
+    res.end();
+}
+
+// Public URL for a tunnel, preferring subdomain routing when it is configured
+function getPublicUrl(subdomain) {
+    if (TUNNEL_DOMAIN) {
+        const { protocol } = new URL(BASE_URL);
+        return `${protocol}//${subdomain}.${TUNNEL_DOMAIN}`;
+    }
+    return getPathUrl(subdomain);
+}
+
+function getPathUrl(subdomain) {
+    return `${BASE_URL}/${subdomain}`;
+}
+
+// URL visitors use to reach a tunnel
+function getTunnelUrl(tunnel) {
+    if (tunnel.protocol === 'tcp') {
+        return tunnel.remotePort ? `tcp://${TCP_HOST}:${tunnel.remotePort}` : null;
+    }
+    if (tunnel.customDomain && tunnel.customDomainVerifiedAt) {
+        const { protocol } = new URL(BASE_URL);
+        return `${protocol}//${tunnel.customDomain}`;
+    }
+    return getPublicUrl(tunnel.subdomain);
+}
+
+// DNS records that prove a tunnel's claim on its custom domain: a CNAME to its
+// own {subdomain}.TUNNEL_DOMAIN host (subdomain routing only) or a TXT record
+function getDomainVerification(tunnel, domain = tunnel.customDomain, subdomain = tunnel.subdomain) {
+    return {
+        cnameTarget: TUNNEL_DOMAIN ? `${subdomain}.${TUNNEL_DOMAIN.replace(/:\d+$/, '')}` : null,
+        txtRecord: domainVerificationRecord(process.env.JWT_SECRET?.trim() || '', tunnel.id, domain)
+    };
+}
+
+// Route a tunnel's newly verified domain; other tunnels' pending claims on it lapse
+async function activateCustomDomain(tunnel) {
+    await prisma.tunnel.updateMany({
+        where: { customDomain: tunnel.customDomain, id: { not: tunnel.id } },
+        data: { customDomain: null, customDomainVerifiedAt: null }
+    });
+    customDomains.set(tunnel.customDomain, tunnel.id);
+    warnUncoveredDomains([tunnel.customDomain]);
+}
+
+// Stop routing a tunnel's domain (only if it is the one the domain routes to)
+function deactivateCustomDomain(tunnel) {
+    if (tunnel.customDomain && customDomains.get(tunnel.customDomain) === tunnel.id) {
+        customDomains.delete(tunnel.customDomain);
+    }
+}
+
+// Work out which tunnel a request targets and the path to forward to the agent.
+// A tunnel's custom domain or subdomain in the Host header wins; otherwise the
+// first path segment names the tunnel.
+function resolveTunnelRoute(req) {
+    const [pathname, query] = splitUrl(req.url);
+
+    const customDomainTunnelId = getCustomDomainTunnelId(req.headers.host);
+    if (customDomainTunnelId) {
+        return { identifier: customDomainTunnelId, targetPath: pathname + query, mode: 'domain' };
+    }
+
+    const subdomain = getSubdomainFromHost(req.headers.host);
+    if (subdomain) {
+        return { identifier: subdomain, targetPath: pathname + query, mode: 'subdomain' };
+    }
+
+    const identifier = pathname.split('/').find(part => part !== '');
+    if (!identifier) {
+        return { identifier: null, targetPath: pathname + query, mode: 'path' };
+    }
+
+    const rest = pathname.slice(pathname.indexOf(identifier) + identifier.length);
+    return { identifier, targetPath: (rest || '/') + query, mode: 'path' };
+}
+
+// Headers passed to the agent: hop-by-hop headers dropped and the usual
+// reverse-proxy headers added so the local app learns the visitor's address,
+// scheme and the public host (the agent may rewrite Host itself). Incoming
+// forwarding headers are only kept from TRUSTED_PROXIES, like in getClientIP;
+// anyone else's are replaced so a visitor can't pose as https or another host.
+function getForwardedHeaders(req, route, tunnel) {
+    const headers = stripHopByHopHeaders(req.headers);
+    // Credentials for a protected tunnel are for the server only; keep them
+    // out of the app, its logs and the agent's inspector
+    if (isProtected(tunnel)) {
+        delete headers['authorization'];
+    }
+    const trusted = isFromTrustedProxy(req);
+    const peer = normalizeIp(req.socket.remoteAddress) || 'unknown';
+    const proto = req.socket.encrypted ? 'https' :
+        (trusted && req.headers['x-forwarded-proto']?.split(',')[0].trim()) || 'http';
+    const host = (trusted && req.headers['x-forwarded-host']) || req.headers.host;
+
+    headers['x-forwarded-for'] = trusted && req.headers['x-forwarded-for'] ?
+        `${req.headers['x-forwarded-for']}, ${peer}` :
+        getClientIP(req);
+    headers['x-forwarded-proto'] = proto;
+    if (host) {
+        headers['x-forwarded-host'] = host;
+    } else {
+        delete headers['x-forwarded-host'];
+    }
+    // Path-prefix URLs hide /{subdomain} from the app; tell it where it is mounted
+    if (route.mode === 'path') {
+        headers['x-forwarded-prefix'] = `/${route.identifier}`;
+    } else if (!trusted) {
+        delete headers['x-forwarded-prefix'];
+    }
+
+    // Our element of Forwarded names the hop we saw, or the visitor when no
+    // trusted proxy sent a Forwarded header of its own
+    const keepForwarded = trusted && req.headers['forwarded'];
+    const forwardedIp = keepForwarded ? peer : getClientIP(req);
+    const forwardedFor = forwardedIp.includes(':') ? `"[${forwardedIp}]"` : forwardedIp;
+    const quotedHost = host && `"${host.replace(/["\\]/g, '\\$&')}"`;
+    const forwarded = `for=${forwardedFor};proto=${proto}${host ? `;host=${quotedHost}` : ''}`;
+    headers['forwarded'] = keepForwarded ? `${req.headers['forwarded']}, ${forwarded}` : forwarded;
+
+    return headers;
+}
+
+// What a tunnel asks of visitors, without the stored hashes
+function getTunnelProtection(tunnel) {
+    if (!isProtected(tunnel)) return undefined;
+    return {
+        basicAuthUser: tunnel.basicAuth ? tunnel.basicAuth.slice(0, tunnel.basicAuth.indexOf(':')) : undefined,
+        bearerToken: Boolean(tunnel.accessTokenHash)
+    };
+}
+
+function logBlockedIp(req, tunnel, targetPath) {
+    logWithTimestamp('WARN', `🚫 Request blocked by IP rules`, {
+        tunnelId: tunnel.id,
+        method: req.method,
+        path: targetPath.split('?')[0],
+        clientIp: getClientIP(req)
+    });
+}
+
+// Failed tunnel logins are logged without the credentials that were sent
+function logUnauthorized(req, tunnel, targetPath) {
+    logWithTimestamp('WARN', `🔒 Unauthorized request to protected tunnel`, {
+        tunnelId: tunnel.id,
+        method: req.method,
+        path: targetPath.split('?')[0],
+        clientIp: getClientIP(req),
+        credentialsSent: Boolean(req.headers.authorization)
+    });
+}
+
+function splitUrl(url) {
+    const queryIndex = url.indexOf('?');
+    return queryIndex === -1 ?
+        [url, ''] :
+        [url.slice(0, queryIndex), url.slice(queryIndex)];
+}
+
+// Function to get tunnel by subdomain/agentId, or by a `{subdomain}.TUNNEL_DOMAIN` host
 async function getTunnelByIdentifier(identifier) {
+    identifier = getSubdomainFromHost(identifier) || identifier;
+
     try {
         // First try to find by subdomain
         let tunnel = await prisma.tunnel.findUnique({
@@ -533,8 +1167,9 @@ async function getTunnelByIdentifier(identifier) {
             include: { user: true }
         });
 
-        // If not found by subdomain, try by tunnel ID
-        if (!tunnel) {
+        // If not found by subdomain, try by tunnel ID (except names the
+        // server keeps for itself, which older tunnels may still carry)
+        if (!tunnel && !BLOCKED_SUBDOMAINS.has(identifier.toLowerCase())) {
             tunnel = await prisma.tunnel.findUnique({
                 where: { id: identifier },
                 include: { user: true }
@@ -550,12 +1185,67 @@ async function getTunnelByIdentifier(identifier) {
     }
 }
 
-// Improved WebSocket connection handling
-wss.on('connection', (ws) => {
-    let wsTunnelId = null;
-    let tunnelRecord = null;
+// Improved WebSocket connection handling. One agent connection may serve
+// several tunnels (`ghostgate start`); control messages about a tunnel carry
+// its tunnelId, and binary frames are keyed by stream ids that belong to one.
+wss.on('connection', (ws, req) => {
+    ws.tunnels = new Map(); // tunnelId → { record, maxInflight }
+    ws.clientIp = getClientIP(req);
+
+    ws.missedHeartbeats = 0;
+    ws.on('pong', () => {
+        ws.missedHeartbeats = 0;
+    });
+
+    ws.on('message', async (data, isBinary) => {
+        ws.missedHeartbeats = 0;
+
+        // Binary frames carry response bodies, relayed WebSocket messages and TCP bytes
+        if (isBinary) {
+            const frame = decodeFrame(data);
+            if (!frame) {
+                logWithTimestamp('WARN', '⚠️ Malformed binary frame received from WebSocket', {
+                    tunnelIds: Array.from(ws.tunnels.keys())
+                });
+                return;
+            }
+
+            if (frame.kind === FRAME_DATA) {
+                const pending = pendingResponses.get(frame.id);
+                if (pending && pending.agent === ws && pending.res.headersSent) {
+                    // Slow visitor: have the agent stop reading this response until
+                    // the visitor's socket drains, instead of buffering all of it here
+                    if (!pending.res.write(frame.payload) && !pending.responsePaused) {
+                        pending.responsePaused = true;
+                        sendControl(ws, { type: 'pause', id: frame.id });
+                        pending.res.once('drain', () => {
+                            pending.responsePaused = false;
+                            sendControl(ws, { type: 'resume', id: frame.id });
+                        });
+                    }
+                }
+            } else if (frame.kind === FRAME_WS_TEXT || frame.kind === FRAME_WS_BINARY) {
+                const entry = tunnelSockets.get(frame.id);
+                if (entry && entry.agent === ws && entry.visitor) {
+                    entry.visitor.send(frame.payload, { binary: frame.kind === FRAME_WS_BINARY });
+                }
+            } else if (frame.kind === FRAME_TCP_DATA) {
+                const connection = tcpConnections.get(frame.id);
+                // Slow public peer: pause the agent's local read, as for responses
+                if (connection && connection.agent === ws && !connection.socket.write(frame.payload) && !connection.paused) {
+                    connection.paused = true;
+                    sendControl(ws, { type: 'pause', id: frame.id });
+                    connection.socket.once('drain', () => {
+                        connection.paused = false;
+                        if (tcpConnections.get(frame.id) === connection) {
+                            sendControl(ws, { type: 'resume', id: frame.id });
+                        }
+                    });
+                }
+            }
+            return;
+        }
 
-    ws.on('message', async (data) => {
         let msg;
         try {
             msg = JSON.parse(data);
@@ -569,17 +1259,56 @@ wss.on('connection', (ws) => {
         }
 
         if (msg.type === 'register') {
-            const { agentId, token, tunnelName, subdomain, localPort, description } = msg;
+            const { agentId, token, tunnelName, subdomain, localPort, description, protocol, maxConcurrency, requestTimeout, routes, basicAuth, requireToken, ipAllow, ipDeny, rateLimit, ipRateLimit } = msg;
+            const wsTunnelId = agentId;
+            let tunnelRecord = null;
+            // Agents that register several tunnels here understand tunnel-closed
+            if (msg.multiplex) {
+                ws.multiplexed = true;
+            }
+            // Json columns are cleared with DbNull rather than null
+            const tunnelRoutes = sanitizeRoutes(routes) ?? Prisma.DbNull;
+            const tunnelProtocol = protocol === 'tcp' ? 'tcp' : 'http';
 
+            // Protection and rate limits are set on every registration, so dropping the options removes them
+            let tunnelAccess;
             try {
-                const JWT_SECRET = process.env.JWT_SECRET?.trim();
-                if (!JWT_SECRET) {
-                    throw new Error('JWT_SECRET not configured');
-                }
+                tunnelAccess = tunnelProtocol === 'tcp' ?
+                    { basicAuth: null, accessTokenHash: null } :
+                    await parseTunnelAccess({ basicAuth, requireToken });
+                // IP lists may also be managed through the API, so they are only
+                // replaced when the agent sends them
+                if (ipAllow !== undefined) tunnelAccess.ipAllow = parseIpRules(ipAllow);
+                if (ipDeny !== undefined) tunnelAccess.ipDeny = parseIpRules(ipDeny);
+                tunnelAccess.rateLimits = sanitizeRateLimits({ tunnel: rateLimit, ip: ipRateLimit }) ?? Prisma.DbNull;
+            } catch (accessError) {
+                refuseRegistration(ws, agentId, {
+                    code: 'invalid_settings',
+                    message: 'Invalid tunnel settings',
+                    error: accessError.message
+                });
+                return;
+            }
 
-                const userData = jwt.verify(token, JWT_SECRET);
+            try {
+                const userData = await authenticateToken(token, ws.clientIp);
+                // Revoking a device session or API key closes its connections,
+                // so every tunnel on one connection shares a credential
+                if (ws.user && (ws.user.userId !== userData.userId ||
+                    ws.sessionId !== (userData.jti || null) ||
+                    ws.apiKeyId !== (userData.apiKeyId || null))) {
+                    refuseRegistration(ws, wsTunnelId, {
+                        code: 'credential_mismatch',
+                        message: 'Different credentials on one connection',
+                        error: 'Every tunnel on a connection must register with the same token'
+                    });
+                    return;
+                }
                 ws.user = userData;
-                wsTunnelId = agentId;
+                // Revoking this device session or API key disconnects the agent
+                ws.sessionId = userData.jti || null;
+                ws.apiKeyId = userData.apiKeyId || null;
+                const maxInflight = Math.min(parseInt(maxConcurrency) || MAX_INFLIGHT_PER_TUNNEL, MAX_INFLIGHT_PER_TUNNEL);
 
                 logWithTimestamp('INFO', `🔐 User authenticated`, {
                     userId: userData.userId,
@@ -590,48 +1319,61 @@ wss.on('connection', (ws) => {
                 // Ensure user exists in database
                 await ensureUserExists(userData);
 
-                // Check for existing connection and close it
-                if (agents.has(wsTunnelId)) {
-                    const oldWs = agents.get(wsTunnelId);
-                    oldWs.close(4002, 'Duplicate tunnel ID. Disconnected.');
-                    logWithTimestamp('WARN', `Kicked old agent with duplicate tunnel ID: ${wsTunnelId}`);
-                    agents.delete(wsTunnelId);
-                }
-
-                // Handle tunnel creation/update
-                // Replace the tunnel creation/update logic around line 220-280
-
                 // Handle tunnel creation/update
                 try {
-                    // Look for existing tunnel by ID first, then by subdomain
-                    let existingTunnel = await prisma.tunnel.findUnique({
+                    // Tunnel IDs belong to the user who registered them first
+                    const existingTunnel = await prisma.tunnel.findUnique({
                         where: { id: wsTunnelId }
                     });
+                    if (existingTunnel && existingTunnel.userId !== userData.userId) {
+                        refuseRegistration(ws, wsTunnelId, {
+                            code: 'tunnel_id_taken',
+                            message: 'Tunnel ID taken',
+                            error: `"${wsTunnelId}" belongs to another user; choose another tunnel name`
+                        });
+                        return;
+                    }
 
-                    // FIXED: Use agentId as subdomain if no explicit subdomain provided
-                    const desiredSubdomain = subdomain || wsTunnelId;
-
-                    // Check if the desired subdomain is already taken by another tunnel
-                    const subdomainConflict = await prisma.tunnel.findFirst({
-                        where: {
-                            subdomain: desiredSubdomain,
-                            id: { not: wsTunnelId } // Exclude current tunnel
-                        }
-                    });
+                    // Use the requested subdomain, else keep the stored one (it may have
+                    // been changed through the API), else the agentId
+                    const desiredSubdomain = subdomain || existingTunnel?.subdomain || wsTunnelId;
+
+                    // Scoped API keys may only serve the subdomains they list. The
+                    // tunnel ID (also routable as a path) and the subdomain of a
+                    // tunnel being taken over must be in scope too, or a key could
+                    // move and disconnect any of the owner's tunnels.
+                    const outOfScope = [desiredSubdomain, wsTunnelId, existingTunnel?.subdomain]
+                        .find(name => name && !isSubdomainAllowed(userData.subdomains, name));
+                    if (outOfScope) {
+                        refuseRegistration(ws, wsTunnelId, {
+                            code: 'subdomain_not_allowed',
+                            message: 'Subdomain not allowed for this API key',
+                            error: `"${outOfScope}" is outside this key's scope; it may only serve ${userData.subdomains.join(', ')}`
+                        });
+                        return;
+                    }
 
-                    if (subdomainConflict) {
-                        // If there's a conflict and no explicit subdomain was provided, generate unique one
-                        const finalSubdomain = subdomain ?
-                            subdomain :
-                            await generateUniqueSubdomain(tunnelName || `tunnel-${wsTunnelId.substring(0, 8)}`, userData.userId);
+                    const conflict = await checkSubdomainClaim(desiredSubdomain, userData.userId, wsTunnelId);
+                    if (conflict) {
+                        refuseRegistration(ws, wsTunnelId, conflict);
+                        return;
+                    }
 
-                        logWithTimestamp('WARN', `Subdomain conflict detected`, {
-                            desired: desiredSubdomain,
-                            conflictWith: subdomainConflict.id,
-                            using: finalSubdomain
-                        });
+                    // Path-prefix URLs also reach a tunnel by its ID, so the ID
+                    // is held to the same rules as a subdomain
+                    const idConflict = wsTunnelId !== desiredSubdomain &&
+                        await checkSubdomainClaim(wsTunnelId, userData.userId, wsTunnelId);
+                    if (idConflict) {
+                        refuseRegistration(ws, wsTunnelId, idConflict);
+                        return;
+                    }
 
-                        desiredSubdomain = finalSubdomain;
+                    // The same user reconnecting (or starting a second agent) takes over
+                    const oldWs = agents.get(wsTunnelId);
+                    if (oldWs && oldWs !== ws) {
+                        agents.delete(wsTunnelId);
+                        closeAgentTunnel(oldWs, wsTunnelId, 4002, 'Duplicate tunnel ID. Disconnected.');
+                        logWithTimestamp('WARN', `Kicked old agent with duplicate tunnel ID: ${wsTunnelId}`);
                     }
 
                     if (existingTunnel) {
@@ -642,7 +1384,13 @@ wss.on('connection', (ws) => {
                                 name: tunnelName || existingTunnel.name,
                                 subdomain: desiredSubdomain,
                                 localPort: localPort || existingTunnel.localPort,
+                                requestTimeout: requestTimeout !== undefined ?
+                                    clampRequestTimeout(requestTimeout) :
+                                    existingTunnel.requestTimeout,
                                 description: description || existingTunnel.description,
+                                protocol: tunnelProtocol,
+                                routes: tunnelRoutes,
+                                ...tunnelAccess,
                                 isActive: true,
                                 lastConnected: new Date(),
                                 connectedAt: new Date(),
@@ -666,7 +1414,11 @@ wss.on('connection', (ws) => {
                                 name: tunnelName || `Tunnel-${wsTunnelId.substring(0, 8)}`,
                                 subdomain: desiredSubdomain,
                                 localPort: localPort || 3000,
+                                requestTimeout: clampRequestTimeout(requestTimeout),
                                 description: description || 'Auto-created tunnel',
+                                protocol: tunnelProtocol,
+                                routes: tunnelRoutes,
+                                ...tunnelAccess,
                                 isActive: true,
                                 lastConnected: new Date(),
                                 connectedAt: new Date(),
@@ -683,23 +1435,66 @@ wss.on('connection', (ws) => {
                         });
                     }
 
+                    // TCP tunnels need a public port before they can be used
+                    if (tunnelRecord.protocol === 'tcp') {
+                        let remotePort;
+                        try {
+                            remotePort = await openTcpListener(tunnelRecord, ws);
+                        } catch (tcpError) {
+                            logWithTimestamp('ERROR', `Failed to allocate TCP port`, {
+                                tunnelId: wsTunnelId,
+                                error: tcpError.message
+                            });
+                            ws.send(JSON.stringify({
+                                type: 'error',
+                                tunnelId: wsTunnelId,
+                                message: 'Failed to allocate a public TCP port',
+                                error: tcpError.message
+                            }));
+                            // Not a refusal: the agent retries, and a port may be free by then
+                            ws.close(1013, 'TCP port allocation failed');
+                            return;
+                        }
+
+                        if (tunnelRecord.remotePort !== remotePort) {
+                            tunnelRecord = await prisma.tunnel.update({
+                                where: { id: tunnelRecord.id },
+                                data: { remotePort },
+                                include: { user: true }
+                            });
+                        }
+                    }
+
                     // Rest of the registration logic remains the same...
                     // Store WebSocket connection
+                    ws.tunnels.set(wsTunnelId, { record: tunnelRecord, maxInflight });
                     agents.set(wsTunnelId, ws);
+                    getTunnelIpRules(tunnelRecord);
 
                     // Send success response
-                    const publicUrl = `${process.env.BASE_URL || 'http://localhost:8080'}/${tunnelRecord.subdomain}`;
+                    const publicUrl = getTunnelUrl(tunnelRecord);
 
                     ws.send(JSON.stringify({
                         type: 'registered',
+                        tunnelId: wsTunnelId,
                         success: true,
                         tunnel: {
                             id: tunnelRecord.id,
                             name: tunnelRecord.name,
                             subdomain: tunnelRecord.subdomain,
                             url: publicUrl,
+                            pathUrl: tunnelRecord.protocol === 'tcp' ? undefined : getPathUrl(tunnelRecord.subdomain),
+                            protocol: tunnelRecord.protocol,
+                            remotePort: tunnelRecord.remotePort ?? undefined,
                             isActive: tunnelRecord.isActive,
                             localPort: tunnelRecord.localPort,
+                            routes: tunnelRecord.routes ?? undefined,
+                            protection: getTunnelProtection(tunnelRecord),
+                            ipAllow: tunnelRecord.ipAllow,
+                            ipDeny: tunnelRecord.ipDeny,
+                            rateLimits: describeRateLimits(tunnelRecord),
+                            maxConcurrency: maxInflight,
+                            requestTimeout: getRequestTimeout(tunnelRecord),
                             description: tunnelRecord.description,
                             createdAt: tunnelRecord.createdAt,
                             connectedAt: tunnelRecord.connectedAt
@@ -713,6 +1508,7 @@ wss.on('connection', (ws) => {
                         publicUrl,
                         user: userData.email,
                         totalActiveAgents: agents.size,
+                        tunnelsOnConnection: ws.tunnels.size,
                         isNewTunnel: !existingTunnel
                     });
 
@@ -727,11 +1523,13 @@ wss.on('connection', (ws) => {
 
                     ws.send(JSON.stringify({
                         type: 'error',
+                        tunnelId: wsTunnelId,
                         message: 'Failed to register tunnel in database',
                         error: dbError.message
                     }));
 
-                    ws.close(4003, 'Database registration failed');
+                    // Not a refusal (4003): the agent retries with backoff
+                    ws.close(1011, 'Database registration failed');
                     return;
                 }
             } catch (authError) {
@@ -742,6 +1540,7 @@ wss.on('connection', (ws) => {
 
                 ws.send(JSON.stringify({
                     type: 'error',
+                    tunnelId: wsTunnelId,
                     message: 'Authentication failed',
                     error: authError.message
                 }));
@@ -751,47 +1550,118 @@ wss.on('connection', (ws) => {
             }
         }
 
-        // Handle response messages
-        // In your WebSocket message handler, around line 315-325
-        // Replace this section:
-
+        // Handle response start: status line and headers, body follows as binary frames
         else if (msg.type === 'response') {
-            const { id, statusCode, headers, body } = msg;
-            const res = pendingResponses.get(id);
+            const { id, statusCode, headers } = msg;
+            const pending = pendingResponses.get(id);
 
-            if (res) {
-                try {
-                    res.set(headers || {});
-                    // FIX: Ensure body is properly serialized
-                    let responseBody = body;
-                    if (typeof body === 'object' && body !== null) {
-                        responseBody = JSON.stringify(body);
-                        // Set content-type if not already set
-                        if (!res.get('content-type')) {
-                            res.set('content-type', 'application/json');
-                        }
+            if (!pending || pending.agent !== ws) {
+                logWithTimestamp('WARN', `No pending response found for request ID: ${String(id).substring(0, 8)}`);
+                return;
+            }
+
+            clearTimeout(pending.timeoutId);
+
+            try {
+                pending.res.status(statusCode || 200);
+                for (const [name, value] of Object.entries(stripHopByHopHeaders(headers))) {
+                    if (value !== undefined && value !== null) {
+                        pending.res.setHeader(name, value);
                     }
-                    res.status(statusCode || 200).send(responseBody || '');
-                    pendingResponses.delete(id);
+                }
+                // Send headers now so streamed responses (SSE, downloads) start immediately
+                pending.res.flushHeaders();
+
+                logWithTimestamp('DEBUG', `📤 Response started`, {
+                    requestId: id.substring(0, 8),
+                    tunnelId: pending.tunnelId,
+                    statusCode: statusCode || 200,
+                    contentType: pending.res.get('content-type')
+                });
+            } catch (error) {
+                logWithTimestamp('ERROR', `Failed to send response`, {
+                    requestId: id.substring(0, 8),
+                    tunnelId: pending.tunnelId,
+                    error: error.message
+                });
+                pendingResponses.delete(id);
+                pending.res.destroy();
+                sendControl(ws, { type: 'abort', id });
+            }
+        }
 
-                    logWithTimestamp('DEBUG', `📤 Response forwarded`, {
-                        requestId: id.substring(0, 8),
-                        tunnelId: wsTunnelId,
-                        statusCode: statusCode || 200,
-                        bodyType: typeof body,
-                        isArray: Array.isArray(body)
-                    });
-                } catch (error) {
-                    logWithTimestamp('ERROR', `Failed to send response`, {
-                        requestId: id.substring(0, 8),
-                        tunnelId: wsTunnelId,
-                        error: error.message,
-                        bodyType: typeof body,
-                        isArray: Array.isArray(body)
-                    });
+        // Handle response end: the agent has sent the whole body
+        else if (msg.type === 'response-end') {
+            const pending = pendingResponses.get(msg.id);
+            if (pending && pending.agent === ws) {
+                pendingResponses.delete(msg.id);
+                pending.res.end();
+            }
+        }
+
+        // Handle aborts: the local request failed after the response started
+        else if (msg.type === 'abort') {
+            const pending = pendingResponses.get(msg.id);
+            if (pending && pending.agent === ws) {
+                logWithTimestamp('WARN', `Agent aborted response`, {
+                    requestId: String(msg.id).substring(0, 8),
+                    tunnelId: pending.tunnelId,
+                    error: msg.error
+                });
+                pendingResponses.delete(msg.id);
+                clearTimeout(pending.timeoutId);
+                if (pending.res.headersSent) {
+                    pending.res.destroy();
+                } else {
+                    pending.res.status(502).send('Bad gateway');
                 }
-            } else {
-                logWithTimestamp('WARN', `No pending response found for request ID: ${id.substring(0, 8)}`);
+            }
+        }
+
+        // The agent can't pass a request body (or TCP bytes) on as fast as we send it
+        else if (msg.type === 'pause' || msg.type === 'resume') {
+            const pending = pendingResponses.get(msg.id);
+            const connection = tcpConnections.get(msg.id);
+            if (pending && pending.agent === ws) {
+                pending.requestFlow.setPausedByPeer(msg.type === 'pause');
+            } else if (connection && connection.agent === ws) {
+                connection.flow.setPausedByPeer(msg.type === 'pause');
+            }
+        }
+
+        // Local WebSocket is open: complete the visitor's handshake
+        else if (msg.type === 'ws-opened') {
+            const entry = tunnelSockets.get(msg.id);
+            if (entry && entry.agent === ws && !entry.visitor) {
+                acceptTunnelSocket(msg.id, entry, ws, msg.protocol);
+            }
+        }
+
+        // Local WebSocket refused or failed before opening
+        else if (msg.type === 'ws-error') {
+            const entry = tunnelSockets.get(msg.id);
+            if (entry && entry.agent === ws && !entry.visitor) {
+                clearTimeout(entry.timeoutId);
+                tunnelSockets.delete(msg.id);
+                rejectUpgrade(entry.socket, msg.statusCode || 502, msg.error || 'Local WebSocket connection failed');
+            }
+        }
+
+        // Local WebSocket closed: close the visitor's side too
+        else if (msg.type === 'ws-close') {
+            const entry = tunnelSockets.get(msg.id);
+            if (entry && entry.agent === ws && entry.visitor) {
+                tunnelSockets.delete(msg.id);
+                entry.visitor.close(relayableCloseCode(msg.code), msg.reason || '');
+            }
+        }
+
+        // Local TCP connection closed (or failed to open)
+        else if (msg.type === 'tcp-close') {
+            const connection = tcpConnections.get(msg.id);
+            if (connection && connection.agent === ws) {
+                tcpConnections.delete(msg.id);
+                connection.socket.end();
             }
         }
 
@@ -806,43 +1676,57 @@ wss.on('connection', (ws) => {
         // Handle unknown message types
         else {
             logWithTimestamp('WARN', `Unknown message type received: ${msg.type}`, {
-                tunnelId: wsTunnelId
+                tunnelIds: Array.from(ws.tunnels.keys())
             });
         }
     });
 
     ws.on('close', async (code, reason) => {
-        if (wsTunnelId && tunnelRecord) {
-            try {
-                await prisma.tunnel.update({
-                    where: { id: tunnelRecord.id },
-                    data: {
-                        isActive: false,
-                        lastDisconnected: new Date()
-                    }
-                });
+        const tunnels = Array.from(ws.tunnels.values(), entry => entry.record);
+        for (const tunnel of tunnels) {
+            releaseAgentTunnel(ws, tunnel.id);
+        }
 
-                logWithTimestamp('INFO', `🔌 Tunnel disconnected and marked inactive`, {
-                    tunnelId: tunnelRecord.id,
-                    subdomain: tunnelRecord.subdomain,
+        // A reconnecting agent may already have resumed a tunnel on a new
+        // socket; only the current connection marks the tunnel inactive
+        const inactive = tunnels.filter(tunnel => agents.get(tunnel.id) === ws);
+        for (const tunnel of inactive) {
+            agents.delete(tunnel.id);
+            rejectQueuedRequests(tunnel.id);
+        }
+        if (inactive.length === 0) {
+            return;
+        }
+
+        try {
+            await prisma.tunnel.updateMany({
+                where: { id: { in: inactive.map(tunnel => tunnel.id) } },
+                data: {
+                    isActive: false,
+                    lastDisconnected: new Date()
+                }
+            });
+
+            for (const tunnel of inactive) {
+                logWithTimestamp('INFO', `🔌 Tunnel disconnected and marked inactive`, {
+                    tunnelId: tunnel.id,
+                    subdomain: tunnel.subdomain,
                     code,
                     reason: reason?.toString(),
-                    remainingAgents: agents.size - 1
-                });
-            } catch (error) {
-                logWithTimestamp('ERROR', `Failed to update tunnel on disconnect`, {
-                    tunnelId: tunnelRecord.id,
-                    error: error.message
+                    remainingAgents: agents.size
                 });
             }
-
-            agents.delete(wsTunnelId);
+        } catch (error) {
+            logWithTimestamp('ERROR', `Failed to update tunnels on disconnect`, {
+                tunnelIds: inactive.map(tunnel => tunnel.id),
+                error: error.message
+            });
         }
     });
 
     ws.on('error', (err) => {
         logWithTimestamp('ERROR', `WebSocket error`, {
-            tunnelId: wsTunnelId || 'unknown',
+            tunnelIds: Array.from(ws.tunnels.keys()),
             error: err.message
         });
     });
@@ -851,24 +1735,1123 @@ wss.on('connection', (ws) => {
     ws.send(JSON.stringify({
         type: 'welcome',
         message: 'Connected to tunnel server',
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        heartbeat: {
+            interval: HEARTBEAT_INTERVAL_MS,
+            maxMissed: HEARTBEAT_MAX_MISSED
+        }
     }));
 });
 
+// Write a plain HTTP error on a socket whose upgrade we are refusing
+function rejectUpgrade(socket, statusCode, message, headers = {}) {
+    if (socket.destroyed) return;
+    socket.end(
+        `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode] || 'Error'}\r\n` +
+        'Connection: close\r\n' +
+        Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('') +
+        'Content-Type: text/plain; charset=utf-8\r\n' +
+        `Content-Length: ${Buffer.byteLength(message)}\r\n` +
+        '\r\n' +
+        message
+    );
+}
+
+// Finish the visitor handshake and relay messages both ways
+function acceptTunnelSocket(socketId, entry, agent, protocol) {
+    clearTimeout(entry.timeoutId);
+    entry.req.tunnelProtocol = protocol;
+
+    visitorWss.handleUpgrade(entry.req, entry.socket, entry.head, (visitor) => {
+        entry.visitor = visitor;
+
+        logWithTimestamp('DEBUG', `🔌 Visitor WebSocket opened`, {
+            socketId: socketId.substring(0, 8),
+            tunnelId: entry.tunnelId,
+            protocol: protocol || null
+        });
+
+        visitor.on('message', (data, isBinary) => {
+            sendFrame(agent, encodeFrame(isBinary ? FRAME_WS_BINARY : FRAME_WS_TEXT, socketId, data), visitor);
+        });
+
+        visitor.on('close', (code, reason) => {
+            if (tunnelSockets.delete(socketId)) {
+                sendControl(agent, { type: 'ws-close', id: socketId, code, reason: reason.toString() });
+            }
+            logWithTimestamp('DEBUG', `🔌 Visitor WebSocket closed`, {
+                socketId: socketId.substring(0, 8),
+                tunnelId: entry.tunnelId,
+                code
+            });
+        });
+
+        visitor.on('error', (err) => {
+            logWithTimestamp('WARN', `Visitor WebSocket error`, {
+                socketId: socketId.substring(0, 8),
+                tunnelId: entry.tunnelId,
+                error: err.message
+            });
+        });
+    });
+}
+
+// WebSocket upgrade on a tunnel URL: ask the agent to open the local socket first
+async function handleTunnelUpgrade(req, socket, head) {
+    const route = resolveTunnelRoute(req);
+    const { identifier, targetPath } = route;
+
+    const tunnel = await getTunnelByIdentifier(identifier);
+    if (!tunnel) {
+        return rejectUpgrade(socket, 404, `No tunnel found for identifier: "${identifier}"`);
+    }
+
+    if (tunnel.protocol === 'tcp') {
+        return rejectUpgrade(socket, 400, `Tunnel "${identifier}" is a TCP tunnel`);
+    }
+
+    const agent = agents.get(tunnel.id);
+    if (!tunnel.isActive || !agent) {
+        return rejectUpgrade(socket, 502, `Tunnel "${identifier}" is not currently connected`);
+    }
+
+    if (!isIpAllowed(getTunnelIpRules(tunnel), getClientIP(req))) {
+        logBlockedIp(req, tunnel, targetPath);
+        return rejectUpgrade(socket, 403, `Your IP address is not allowed to access tunnel "${identifier}"`);
+    }
+
+    const limited = checkRateLimits(tunnel, getClientIP(req));
+    if (limited) {
+        return rejectUpgrade(socket, 429, `Rate limit exceeded for tunnel "${identifier}"`, rateLimitHeaders(limited));
+    }
+
+    const access = await checkTunnelAccess(tunnel, req.headers.authorization);
+    if (!access.allowed) {
+        logUnauthorized(req, tunnel, targetPath);
+        return rejectUpgrade(socket, 401, 'Authentication required', { 'WWW-Authenticate': access.challenge });
+    }
+
+    const socketId = uuidv4();
+    const protocols = (req.headers['sec-websocket-protocol'] || '')
+        .split(',')
+        .map(protocol => protocol.trim())
+        .filter(Boolean);
+
+    // Handshake headers are regenerated by the agent's own WebSocket client
+    const headers = getForwardedHeaders(req, route, tunnel);
+    for (const name of ['sec-websocket-key', 'sec-websocket-version', 'sec-websocket-extensions', 'sec-websocket-protocol']) {
+        delete headers[name];
+    }
+
+    const timeoutId = setTimeout(() => {
+        if (tunnelSockets.has(socketId) && !tunnelSockets.get(socketId).visitor) {
+            tunnelSockets.delete(socketId);
+            sendControl(agent, { type: 'ws-close', id: socketId, code: 1001 });
+            rejectUpgrade(socket, 504, 'WebSocket connection timed out');
+        }
+    }, 10000);
+
+    tunnelSockets.set(socketId, { tunnelId: tunnel.id, agent, req, socket, head, timeoutId, visitor: null });
+
+    socket.on('error', () => {
+        const entry = tunnelSockets.get(socketId);
+        if (entry && !entry.visitor) {
+            clearTimeout(timeoutId);
+            tunnelSockets.delete(socketId);
+            sendControl(agent, { type: 'ws-close', id: socketId, code: 1001 });
+        }
+    });
+
+    logWithTimestamp('DEBUG', `🔌 Visitor WebSocket requested`, {
+        socketId: socketId.substring(0, 8),
+        tunnelId: tunnel.id,
+        path: targetPath,
+        clientIp: getClientIP(req)
+    });
+
+    sendControl(agent, {
+        type: 'ws-open',
+        tunnelId: tunnel.id,
+        id: socketId,
+        path: targetPath,
+        headers,
+        protocols
+    });
+}
+
+function handleUpgrade(req, socket, head) {
+    const { identifier, mode } = resolveTunnelRoute(req);
+
+    if (mode === 'path' && !identifier) {
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+        return;
+    }
+
+    handleTunnelUpgrade(req, socket, head).catch((error) => {
+        logWithTimestamp('ERROR', `Failed to handle WebSocket upgrade`, {
+            url: req.url,
+            error: error.message
+        });
+        rejectUpgrade(socket, 500, 'Internal tunnel error');
+    });
+}
+
+server.on('upgrade', handleUpgrade);
+tlsServer?.on('upgrade', handleUpgrade);
+
+// Listen on a public port for a TCP tunnel, preferring the port it had before
+// so reconnecting agents keep their address. Resolves with the port in use.
+async function openTcpListener(tunnel, agent) {
+    if (tcpListeners.has(tunnel.id)) {
+        await closeTcpListener(tunnel.id);
+    }
+
+    const inUse = new Set(Array.from(tcpListeners.values(), listener => listener.port));
+    const candidates = [];
+    if (tunnel.remotePort && tunnel.remotePort >= TCP_PORT_MIN && tunnel.remotePort <= TCP_PORT_MAX) {
+        candidates.push(tunnel.remotePort);
+    }
+    for (let port = TCP_PORT_MIN; port <= TCP_PORT_MAX; port++) {
+        if (port !== tunnel.remotePort && !inUse.has(port)) candidates.push(port);
+    }
+
+    for (const port of candidates) {
+        const tcpServer = net.createServer(socket => handleTcpConnection(tunnel, agent, socket));
+        try {
+            await new Promise((resolve, reject) => {
+                tcpServer.once('error', reject);
+                tcpServer.listen(port, resolve);
+            });
+        } catch (error) {
+            if (error.code === 'EADDRINUSE' || error.code === 'EACCES') continue;
+            throw error;
+        }
+
+        tcpServer.on('error', (error) => {
+            logWithTimestamp('ERROR', `TCP listener error for tunnel ${tunnel.id}`, {
+                port,
+                error: error.message
+            });
+        });
+        tcpListeners.set(tunnel.id, { server: tcpServer, agent, port });
+
+        logWithTimestamp('SUCCESS', `🔌 TCP listener opened`, {
+            tunnelId: tunnel.id,
+            address: `${TCP_HOST}:${port}`
+        });
+        return port;
+    }
+
+    throw new Error(`No free port in range ${TCP_PORT_MIN}-${TCP_PORT_MAX}`);
+}
+
+async function closeTcpListener(tunnelId) {
+    const listener = tcpListeners.get(tunnelId);
+    if (!listener) return;
+    tcpListeners.delete(tunnelId);
+
+    for (const [connectionId, connection] of tcpConnections) {
+        if (connection.tunnelId !== tunnelId) continue;
+        tcpConnections.delete(connectionId);
+        connection.socket.destroy();
+    }
+
+    await new Promise(resolve => listener.server.close(resolve));
+
+    logWithTimestamp('INFO', `🔌 TCP listener closed`, {
+        tunnelId,
+        port: listener.port
+    });
+}
+
+// New public TCP connection: ask the agent to connect to the local port and
+// relay raw bytes both ways
+function handleTcpConnection(tunnel, agent, socket) {
+    const tunnelId = tunnel.id;
+    // TCP has no forwarding headers: the peer is the visitor. The cached rules
+    // follow PATCH updates; `tunnel` is the record from registration.
+    const clientIp = normalizeIp(socket.remoteAddress) || 'unknown';
+    const ipRules = tunnelIpRules.get(tunnelId)?.rules ?? getTunnelIpRules(tunnel);
+    if (!isIpAllowed(ipRules, clientIp)) {
+        logWithTimestamp('WARN', `🚫 TCP connection blocked by IP rules`, { tunnelId, clientIp });
+        socket.destroy();
+        return;
+    }
+
+    const connectionId = uuidv4();
+    const flow = createFlowControl(socket);
+    tcpConnections.set(connectionId, { socket, agent, tunnelId, flow, paused: false });
+
+    logWithTimestamp('DEBUG', `🔌 TCP connection opened`, {
+        connectionId: connectionId.substring(0, 8),
+        tunnelId,
+        clientIp
+    });
+
+    sendControl(agent, { type: 'tcp-open', tunnelId, id: connectionId });
+
+    socket.on('data', (chunk) => {
+        sendFrame(agent, encodeFrame(FRAME_TCP_DATA, connectionId, chunk), flow);
+    });
+
+    socket.on('close', () => {
+        if (tcpConnections.delete(connectionId)) {
+            sendControl(agent, { type: 'tcp-close', id: connectionId });
+        }
+        logWithTimestamp('DEBUG', `🔌 TCP connection closed`, {
+            connectionId: connectionId.substring(0, 8),
+            tunnelId,
+            bytesIn: socket.bytesRead,
+            bytesOut: socket.bytesWritten
+        });
+    });
+
+    socket.on('error', (err) => {
+        logWithTimestamp('WARN', `TCP connection error`, {
+            connectionId: connectionId.substring(0, 8),
+            tunnelId,
+            error: err.message
+        });
+    });
+}
+
+// Wait for a forwarding slot on the tunnel. Resolves true once the request may
+// go to the agent (the slot is released when the response closes), or false if
+// it was rejected with 503 or the visitor left while queued.
+function acquireForwardSlot(tunnelId, agent, res) {
+    let state = requestQueues.get(tunnelId);
+    if (!state) {
+        state = { inflight: 0, waiting: [] };
+        requestQueues.set(tunnelId, state);
+    }
+
+    const grant = () => res.once('close', () => releaseForwardSlot(tunnelId));
+
+    if (state.inflight < (agent.tunnels.get(tunnelId)?.maxInflight || MAX_INFLIGHT_PER_TUNNEL)) {
+        state.inflight++;
+        grant();
+        return Promise.resolve(true);
+    }
+
+    if (state.waiting.length >= MAX_QUEUE_PER_TUNNEL) {
+        logWithTimestamp('WARN', `🚦 Request queue full for tunnel ${tunnelId}`, {
+            inflight: state.inflight,
+            queued: state.waiting.length
+        });
+        res.set('Retry-After', String(QUEUE_RETRY_AFTER_SECONDS));
+        res.status(503).json({
+            error: 'Tunnel busy',
+            message: 'Too many requests are waiting for this tunnel. Please retry shortly.'
+        });
+        return Promise.resolve(false);
+    }
+
+    return new Promise(resolve => {
+        const waiter = {
+            res,
+            grant: () => {
+                grant();
+                resolve(true);
+            },
+            reject: () => resolve(false)
+        };
+        state.waiting.push(waiter);
+
+        res.once('close', () => {
+            const index = state.waiting.indexOf(waiter);
+            if (index !== -1) {
+                state.waiting.splice(index, 1);
+                resolve(false);
+            }
+        });
+    });
+}
+
+// Hand a finished request's slot to the next queued request, if any
+function releaseForwardSlot(tunnelId) {
+    const state = requestQueues.get(tunnelId);
+    if (!state) return;
+
+    const next = state.waiting.shift();
+    if (next) {
+        next.grant();
+        return;
+    }
+
+    state.inflight--;
+    if (state.inflight <= 0) {
+        requestQueues.delete(tunnelId);
+    }
+}
+
+// The agent went away: queued requests will never get a slot
+function rejectQueuedRequests(tunnelId) {
+    const state = requestQueues.get(tunnelId);
+    if (!state) return;
+
+    for (const waiter of state.waiting.splice(0)) {
+        waiter.res.status(502).json({
+            error: 'Tunnel not connected',
+            message: 'The tunnel disconnected while the request was queued'
+        });
+        waiter.reject();
+    }
+}
+
+// Drop the agent serving a tunnel without marking the tunnel inactive on the
+// way out (the caller updates the record itself). 4004 stops the agent for
+// good; other tunnels on the same connection keep running.
+function disconnectAgent(tunnelId, reason) {
+    const agent = agents.get(tunnelId);
+    if (!agent) return false;
+
+    agents.delete(tunnelId);
+    rejectQueuedRequests(tunnelId);
+    closeAgentTunnel(agent, tunnelId, 4004, reason);
+    return true;
+}
+
+// Drop every agent connected with a revoked device session or API key and
+// mark their tunnels inactive. 4001 makes the agent ask for new credentials.
+async function disconnectCredential(id, reason) {
+    const tunnelIds = [];
+    for (const [tunnelId, agent] of agents) {
+        if (agent.sessionId === id || agent.apiKeyId === id) {
+            agents.delete(tunnelId);
+            rejectQueuedRequests(tunnelId);
+            agent.close(4001, reason);
+            tunnelIds.push(tunnelId);
+        }
+    }
+
+    if (tunnelIds.length > 0) {
+        await prisma.tunnel.updateMany({
+            where: { id: { in: tunnelIds } },
+            data: { isActive: false, lastDisconnected: new Date() }
+        });
+    }
+    return tunnelIds;
+}
+
+// ============================================
+// TUNNEL MANAGEMENT API
+// ============================================
+// Lets users list and manage their own tunnels with the same JWT the agent
+// registers with (`Authorization: Bearer <token>`). Only served on the base
+// host; `{subdomain}.TUNNEL_DOMAIN` requests always go to the tunnel.
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,62}$/;
+
+// Shared by the management routers
+function baseHostOnly(req, res, next) {
+    if (isTunnelHost(req.headers.host)) {
+        return next('router');
+    }
+    next();
+}
+
+async function requireUser(req, res, next) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Send your token as "Authorization: Bearer <token>"'
+        });
+    }
+
+    try {
+        req.user = await authenticateToken(token.trim(), getClientIP(req));
+    } catch (error) {
+        return res.status(401).json({ error: 'Unauthorized', message: error.message });
+    }
+
+    // A key leaked from CI must not be able to mint more keys or revoke sign-ins
+    if (req.user.apiKeyId) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'API keys can only connect agents; sign in with `ghostgate auth` to use the API'
+        });
+    }
+    next();
+}
+
+const api = express.Router();
+
+api.use(baseHostOnly, express.json(), requireUser);
+
+// Tunnels are looked up by ID or subdomain, and only among the caller's own
+function findOwnTunnel(req) {
+    const { tunnel } = req.params;
+    return prisma.tunnel.findFirst({
+        where: {
+            userId: req.user.userId,
+            OR: [{ id: tunnel }, { subdomain: tunnel }]
+        },
+        include: { liveStats: true }
+    });
+}
+
+function serializeTunnel(tunnel) {
+    return {
+        id: tunnel.id,
+        name: tunnel.name,
+        subdomain: tunnel.subdomain,
+        description: tunnel.description,
+        protocol: tunnel.protocol,
+        url: getTunnelUrl(tunnel),
+        customDomain: tunnel.customDomain ?? undefined,
+        // Pending domains don't route until a DNS record from `customDomainVerification` exists
+        customDomainVerified: tunnel.customDomain ? Boolean(tunnel.customDomainVerifiedAt) : undefined,
+        customDomainVerification: tunnel.customDomain && !tunnel.customDomainVerifiedAt ?
+            getDomainVerification(tunnel) :
+            undefined,
+        // Whether the server holds a certificate for it (TLS only)
+        customDomainCertificate: certificates && tunnel.customDomain ? certificates.hasCertificate(tunnel.customDomain) : undefined,
+        localPort: tunnel.localPort,
+        routes: tunnel.routes ?? undefined,
+        protection: getTunnelProtection(tunnel),
+        ipAllow: tunnel.ipAllow,
+        ipDeny: tunnel.ipDeny,
+        rateLimits: describeRateLimits(tunnel),
+        remotePort: tunnel.remotePort ?? undefined,
+        requestTimeout: getRequestTimeout(tunnel),
+        isActive: tunnel.isActive,
+        connected: agents.has(tunnel.id),
+        totalRequests: Number(tunnel.totalRequests),
+        totalBandwidth: Number(tunnel.totalBandwidth),
+        createdAt: tunnel.createdAt,
+        lastConnected: tunnel.lastConnected,
+        lastDisconnected: tunnel.lastDisconnected,
+        liveStats: tunnel.liveStats ? {
+            requestsLast5Min: tunnel.liveStats.requestsLast5Min,
+            requestsLast1Hour: tunnel.liveStats.requestsLast1Hour,
+            avgResponseTime: tunnel.liveStats.avgResponseTime,
+            errorRate: tunnel.liveStats.errorRate
+        } : undefined
+    };
+}
+
+function tunnelNotFound(req, res) {
+    res.status(404).json({
+        error: 'Tunnel not found',
+        message: `You have no tunnel "${req.params.tunnel}"`
+    });
+}
+
+// Express 5 forwards rejected promises here
+function apiErrorHandler(error, req, res, next) {
+    logWithTimestamp('ERROR', `Management API error`, {
+        method: req.method,
+        path: req.originalUrl,
+        error: error.message
+    });
+    res.status(error.status || 500).json({
+        error: error.status ? 'Bad request' : 'Internal server error',
+        message: error.message
+    });
+}
+
+api.get('/', async (req, res) => {
+    const tunnels = await prisma.tunnel.findMany({
+        where: { userId: req.user.userId },
+        include: { liveStats: true },
+        orderBy: { createdAt: 'asc' }
+    });
+    res.json({ tunnels: tunnels.map(serializeTunnel) });
+});
+
+api.get('/:tunnel', async (req, res) => {
+    const tunnel = await findOwnTunnel(req);
+    if (!tunnel) return tunnelNotFound(req, res);
+    res.json({ tunnel: serializeTunnel(tunnel) });
+});
+
+// Rename, change subdomain or description
+api.patch('/:tunnel', async (req, res) => {
+    const tunnel = await findOwnTunnel(req);
+    if (!tunnel) return tunnelNotFound(req, res);
+
+    const { name, subdomain, description, ipAllow, ipDeny, customDomain } = req.body || {};
+    const data = {};
+
+    try {
+        if (ipAllow !== undefined) data.ipAllow = parseIpRules(ipAllow ?? []);
+        if (ipDeny !== undefined) data.ipDeny = parseIpRules(ipDeny ?? []);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid IP rules', message: error.message });
+    }
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+            return res.status(400).json({ error: 'Invalid name', message: 'Name must be 1-100 characters' });
+        }
+        data.name = name.trim();
+    }
+
+    if (description !== undefined) {
+        data.description = description === null ? null : String(description);
+    }
+
+    if (subdomain !== undefined && subdomain !== tunnel.subdomain) {
+        const conflict = await checkSubdomainClaim(subdomain, req.user.userId, tunnel.id);
+        if (conflict) {
+            return res.status(claimErrorStatus(conflict)).json({ error: conflict.message, code: conflict.code, message: conflict.error });
+        }
+        data.subdomain = subdomain;
+    }
+
+    if (customDomain !== undefined && customDomain !== tunnel.customDomain) {
+        const domain = customDomain === null ? null : String(customDomain).trim().toLowerCase().replace(/\.$/, '');
+        if (domain !== null) {
+            if (tunnel.protocol === 'tcp') {
+                return res.status(400).json({
+                    error: 'Invalid domain',
+                    code: 'invalid_domain',
+                    message: 'TCP tunnels are reached by port and have no domain'
+                });
+            }
+            if (!HOSTNAME_PATTERN.test(domain)) {
+                return res.status(400).json({
+                    error: 'Invalid domain',
+                    code: 'invalid_domain',
+                    message: `"${customDomain}" is not a hostname like app.example.com`
+                });
+            }
+            if (domain === new URL(BASE_URL).hostname || domain === TUNNEL_DOMAIN || getSubdomainFromHost(domain)) {
+                return res.status(409).json({
+                    error: 'Domain not available',
+                    code: 'domain_not_available',
+                    message: `"${domain}" is one of this server's own hostnames`
+                });
+            }
+            // Unverified claims of other tunnels don't block: whoever proves
+            // control of the domain first gets it
+            const holder = await prisma.tunnel.findFirst({
+                where: { customDomain: domain, customDomainVerifiedAt: { not: null }, id: { not: tunnel.id } }
+            });
+            if (holder) {
+                return res.status(409).json({
+                    error: 'Domain taken',
+                    code: 'domain_taken',
+                    message: `"${domain}" is already used by another tunnel`
+                });
+            }
+        }
+        data.customDomain = domain;
+        data.customDomainVerifiedAt = null;
+        // Route it right away when DNS is already in place; otherwise it
+        // waits for POST /api/tunnels/:tunnel/domain/verify
+        const verification = domain && getDomainVerification(tunnel, domain, data.subdomain ?? tunnel.subdomain);
+        if (domain && await verifyDomainOwnership(domain, verification, dnsResolver)) {
+            data.customDomainVerifiedAt = new Date();
+        }
+    }
+
+    const updated = await prisma.tunnel.update({
+        where: { id: tunnel.id },
+        data,
+        include: { liveStats: true }
+    });
+
+    if (data.ipAllow !== undefined || data.ipDeny !== undefined) {
+        getTunnelIpRules(updated);
+    }
+    if (data.customDomain !== undefined) {
+        deactivateCustomDomain(tunnel);
+        if (updated.customDomainVerifiedAt) await activateCustomDomain(updated);
+    }
+
+    // A connected agent keeps the new subdomain across reconnects
+    const agent = agents.get(updated.id);
+    if (agent && (data.subdomain || data.customDomain !== undefined)) {
+        sendControl(agent, {
+            type: 'tunnel-updated',
+            tunnelId: updated.id,
+            tunnel: { subdomain: updated.subdomain, url: getTunnelUrl(updated) }
+        });
+    }
+
+    logWithTimestamp('INFO', `✏️ Tunnel updated through the API`, {
+        tunnelId: updated.id,
+        user: req.user.email,
+        changes: data
+    });
+
+    res.json({ tunnel: serializeTunnel(updated) });
+});
+
+// Check DNS again for a pending custom domain and start routing it once verified
+api.post('/:tunnel/domain/verify', async (req, res) => {
+    const tunnel = await findOwnTunnel(req);
+    if (!tunnel) return tunnelNotFound(req, res);
+
+    if (!tunnel.customDomain) {
+        return res.status(400).json({
+            error: 'No custom domain',
+            code: 'no_domain',
+            message: `Tunnel "${tunnel.name}" has no custom domain to verify`
+        });
+    }
+    if (tunnel.customDomainVerifiedAt) {
+        return res.json({ tunnel: serializeTunnel(tunnel) });
+    }
+
+    const holder = await prisma.tunnel.findFirst({
+        where: { customDomain: tunnel.customDomain, customDomainVerifiedAt: { not: null }, id: { not: tunnel.id } }
+    });
+    if (holder) {
+        return res.status(409).json({
+            error: 'Domain taken',
+            code: 'domain_taken',
+            message: `"${tunnel.customDomain}" is already used by another tunnel`
+        });
+    }
+
+    const verification = getDomainVerification(tunnel);
+    if (!await verifyDomainOwnership(tunnel.customDomain, verification, dnsResolver)) {
+        return res.status(409).json({
+            error: 'Domain not verified',
+            code: 'domain_not_verified',
+            message: `No DNS record proves control of "${tunnel.customDomain}" yet (DNS changes can take a while to show up)`,
+            verification
+        });
+    }
+
+    const updated = await prisma.tunnel.update({
+        where: { id: tunnel.id },
+        data: { customDomainVerifiedAt: new Date() },
+        include: { liveStats: true }
+    });
+    await activateCustomDomain(updated);
+
+    const agent = agents.get(updated.id);
+    if (agent) {
+        sendControl(agent, {
+            type: 'tunnel-updated',
+            tunnelId: updated.id,
+            tunnel: { subdomain: updated.subdomain, url: getTunnelUrl(updated) }
+        });
+    }
+
+    logWithTimestamp('INFO', `🌐 Custom domain verified`, {
+        tunnelId: updated.id,
+        domain: updated.customDomain,
+        user: req.user.email
+    });
+
+    res.json({ tunnel: serializeTunnel(updated) });
+});
+
+// Disconnect the agent and mark the tunnel inactive; the record is kept
+api.post('/:tunnel/deactivate', async (req, res) => {
+    const tunnel = await findOwnTunnel(req);
+    if (!tunnel) return tunnelNotFound(req, res);
+
+    const disconnected = disconnectAgent(tunnel.id, 'Tunnel deactivated');
+    const updated = await prisma.tunnel.update({
+        where: { id: tunnel.id },
+        data: {
+            isActive: false,
+            lastDisconnected: disconnected ? new Date() : tunnel.lastDisconnected
+        },
+        include: { liveStats: true }
+    });
+
+    logWithTimestamp('INFO', `⏸️ Tunnel deactivated through the API`, {
+        tunnelId: tunnel.id,
+        user: req.user.email,
+        disconnected
+    });
+
+    res.json({ tunnel: serializeTunnel(updated), disconnected });
+});
+
+// Disconnect the agent and delete the tunnel with all of its analytics
+api.delete('/:tunnel', async (req, res) => {
+    const tunnel = await findOwnTunnel(req);
+    if (!tunnel) return tunnelNotFound(req, res);
+
+    const disconnected = disconnectAgent(tunnel.id, 'Tunnel deleted');
+    await prisma.tunnel.delete({ where: { id: tunnel.id } });
+    uniqueIpsBuffer.delete(tunnel.id);
+    tunnelIpRules.delete(tunnel.id);
+    deactivateCustomDomain(tunnel);
+
+    logWithTimestamp('INFO', `🗑️ Tunnel deleted through the API`, {
+        tunnelId: tunnel.id,
+        subdomain: tunnel.subdomain,
+        user: req.user.email,
+        disconnected
+    });
+
+    res.json({ deleted: true, id: tunnel.id, disconnected });
+});
+
+api.use(apiErrorHandler);
+
+app.use('/api/tunnels', api);
+
+// ============================================
+// DEVICE SESSIONS API
+// ============================================
+// Every `ghostgate auth` creates a device session. Users can list the ones
+// still valid and revoke any of them, which also drops the agents connected
+// with that token.
+
+const devicesApi = express.Router();
+
+devicesApi.use(baseHostOnly, express.json(), requireUser);
+
+function serializeDeviceSession(session, req) {
+    return {
+        id: session.id,
+        deviceId: session.deviceId,
+        current: session.id === req.user.jti,
+        connectedTunnels: Array.from(agents.values()).filter(agent => agent.sessionId === session.id).length,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        lastSeenAt: session.lastSeenAt,
+        lastIp: session.lastIp
+    };
+}
+
+devicesApi.get('/', async (req, res) => {
+    const sessions = await prisma.deviceSession.findMany({
+        where: {
+            userId: req.user.userId,
+            revokedAt: null,
+            expiresAt: { gt: new Date() }
+        },
+        orderBy: { createdAt: 'asc' }
+    });
+    res.json({ devices: sessions.map(session => serializeDeviceSession(session, req)) });
+});
+
+// Revoke by session ID or device ID (every session of that device);
+// `current` is the session of the token making the request
+devicesApi.delete('/:device', async (req, res) => {
+    const { device } = req.params;
+    if (device === 'current' && !req.user.jti) {
+        return res.status(400).json({
+            error: 'Bad request',
+            message: 'This token has no device session and cannot be revoked; it stops working when it expires'
+        });
+    }
+
+    const sessions = await prisma.deviceSession.findMany({
+        where: {
+            userId: req.user.userId,
+            revokedAt: null,
+            OR: device === 'current' ?
+                [{ id: req.user.jti }] :
+                [{ id: device }, { deviceId: device }]
+        }
+    });
+    if (sessions.length === 0) {
+        return res.status(404).json({
+            error: 'Device not found',
+            message: `You have no active device "${device}"`
+        });
+    }
+
+    const ids = sessions.map(session => session.id);
+    await prisma.deviceSession.updateMany({
+        where: { id: { in: ids } },
+        data: { revokedAt: new Date() }
+    });
+
+    const disconnected = [];
+    for (const id of ids) {
+        disconnected.push(...await disconnectCredential(id, 'Device session revoked'));
+    }
+
+    logWithTimestamp('INFO', `🚫 Device session revoked`, {
+        sessions: ids,
+        user: req.user.email,
+        disconnectedTunnels: disconnected
+    });
+
+    res.json({ revoked: ids, revokedCurrent: ids.includes(req.user.jti), disconnected });
+});
+
+devicesApi.use(apiErrorHandler);
+
+app.use('/api/devices', devicesApi);
+
+// ============================================
+// API KEYS API
+// ============================================
+// Long-lived keys for CI and headless machines, created by a signed-in user.
+// The key itself is only returned by the POST that creates it.
+
+const API_KEY_NAME_MAX_LENGTH = 64;
+
+const keysApi = express.Router();
+
+keysApi.use(baseHostOnly, express.json(), requireUser);
+
+function serializeApiKey(apiKey) {
+    return {
+        id: apiKey.id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        subdomains: apiKey.subdomains,
+        expired: Boolean(apiKey.expiresAt && apiKey.expiresAt < new Date()),
+        connectedTunnels: Array.from(agents.values()).filter(agent => agent.apiKeyId === apiKey.id).length,
+        createdAt: apiKey.createdAt,
+        expiresAt: apiKey.expiresAt,
+        lastUsedAt: apiKey.lastUsedAt,
+        lastIp: apiKey.lastIp
+    };
+}
+
+keysApi.get('/', async (req, res) => {
+    const apiKeys = await prisma.apiKey.findMany({
+        where: { userId: req.user.userId, revokedAt: null },
+        orderBy: { createdAt: 'asc' }
+    });
+    res.json({ keys: apiKeys.map(serializeApiKey) });
+});
+
+// Body: { name, subdomains?: ["staging", "pr-*"], expiresAt?: ISO date }
+keysApi.post('/', async (req, res) => {
+    const { name, subdomains = [], expiresAt } = req.body || {};
+
+    const keyName = typeof name === 'string' ? name.trim() : '';
+    if (!keyName || keyName.length > API_KEY_NAME_MAX_LENGTH) {
+        return res.status(400).json({
+            error: 'Invalid name',
+            message: `Give the key a name of 1-${API_KEY_NAME_MAX_LENGTH} characters`
+        });
+    }
+
+    let subdomainRules;
+    try {
+        subdomainRules = parseSubdomainRules(subdomains);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid subdomains', message: error.message });
+    }
+
+    const expires = expiresAt ? new Date(expiresAt) : null;
+    if (expires && (Number.isNaN(expires.getTime()) || expires <= new Date())) {
+        return res.status(400).json({
+            error: 'Invalid expiry',
+            message: 'expiresAt must be a date in the future'
+        });
+    }
+
+    await ensureUserExists(req.user);
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await prisma.apiKey.create({
+        data: {
+            userId: req.user.userId,
+            name: keyName,
+            prefix,
+            keyHash,
+            subdomains: subdomainRules,
+            expiresAt: expires
+        }
+    });
+
+    logWithTimestamp('INFO', `🔑 API key created`, {
+        keyId: apiKey.id,
+        name: apiKey.name,
+        subdomains: apiKey.subdomains,
+        user: req.user.email
+    });
+
+    res.status(201).json({ key: serializeApiKey(apiKey), secret: key });
+});
+
+// Revoke by key ID or name (every key with that name)
+keysApi.delete('/:key', async (req, res) => {
+    const apiKeys = await prisma.apiKey.findMany({
+        where: {
+            userId: req.user.userId,
+            revokedAt: null,
+            OR: [{ id: req.params.key }, { name: req.params.key }]
+        }
+    });
+    if (apiKeys.length === 0) {
+        return res.status(404).json({
+            error: 'API key not found',
+            message: `You have no API key "${req.params.key}"`
+        });
+    }
+
+    const ids = apiKeys.map(apiKey => apiKey.id);
+    await prisma.apiKey.updateMany({
+        where: { id: { in: ids } },
+        data: { revokedAt: new Date() }
+    });
+
+    const disconnected = [];
+    for (const id of ids) {
+        disconnected.push(...await disconnectCredential(id, 'API key revoked'));
+    }
+
+    logWithTimestamp('INFO', `🚫 API key revoked`, {
+        keys: ids,
+        user: req.user.email,
+        disconnectedTunnels: disconnected
+    });
+
+    res.json({ revoked: ids, disconnected });
+});
+
+keysApi.use(apiErrorHandler);
+
+app.use('/api/keys', keysApi);
+
+// ============================================
+// RESERVED SUBDOMAINS API
+// ============================================
+// Users keep subdomains for themselves so nobody else can bind them while
+// their tunnel is offline (or before it first connects).
+
+const subdomainsApi = express.Router();
+
+subdomainsApi.use(baseHostOnly, express.json(), requireUser);
+
+async function serializeReservation(reservation) {
+    const tunnel = await prisma.tunnel.findFirst({
+        where: { userId: reservation.userId, subdomain: reservation.subdomain }
+    });
+    return {
+        subdomain: reservation.subdomain,
+        url: getPublicUrl(reservation.subdomain),
+        createdAt: reservation.createdAt,
+        tunnel: tunnel ? { id: tunnel.id, name: tunnel.name, connected: agents.has(tunnel.id) } : null
+    };
+}
+
+subdomainsApi.get('/', async (req, res) => {
+    const reservations = await prisma.reservedSubdomain.findMany({
+        where: { userId: req.user.userId },
+        orderBy: { subdomain: 'asc' }
+    });
+    res.json({ subdomains: await Promise.all(reservations.map(serializeReservation)) });
+});
+
+// Body: { subdomain }. Reserving a name you already hold is a no-op.
+subdomainsApi.post('/', async (req, res) => {
+    const { subdomain } = req.body || {};
+
+    // Names your own tunnels already use can be reserved
+    const conflict = await checkSubdomainClaim(subdomain, req.user.userId);
+    if (conflict && conflict.code !== 'subdomain_in_use') {
+        return res.status(claimErrorStatus(conflict)).json({ error: conflict.message, code: conflict.code, message: conflict.error });
+    }
+
+    const existing = await prisma.reservedSubdomain.findUnique({ where: { subdomain } });
+    if (existing && existing.userId === req.user.userId) {
+        return res.json({ subdomain: await serializeReservation(existing) });
+    }
+
+    const count = await prisma.reservedSubdomain.count({ where: { userId: req.user.userId } });
+    if (count >= MAX_RESERVED_SUBDOMAINS) {
+        return res.status(409).json({
+            error: 'Too many reserved subdomains',
+            code: 'reservation_limit',
+            message: `You can reserve at most ${MAX_RESERVED_SUBDOMAINS} subdomains; release one first`
+        });
+    }
+
+    await ensureUserExists(req.user);
+    const reservation = await prisma.reservedSubdomain.create({
+        data: { subdomain, userId: req.user.userId }
+    });
+
+    logWithTimestamp('INFO', `📌 Subdomain reserved`, {
+        subdomain,
+        user: req.user.email
+    });
+
+    res.status(201).json({ subdomain: await serializeReservation(reservation) });
+});
+
+// Tunnels keep using a released name until they disconnect
+subdomainsApi.delete('/:subdomain', async (req, res) => {
+    const reservation = await prisma.reservedSubdomain.findFirst({
+        where: { subdomain: req.params.subdomain, userId: req.user.userId }
+    });
+    if (!reservation) {
+        return res.status(404).json({
+            error: 'Reservation not found',
+            message: `You have not reserved "${req.params.subdomain}"`
+        });
+    }
+
+    await prisma.reservedSubdomain.delete({ where: { id: reservation.id } });
+
+    logWithTimestamp('INFO', `📌 Subdomain released`, {
+        subdomain: reservation.subdomain,
+        user: req.user.email
+    });
+
+    res.json({ released: reservation.subdomain });
+});
+
+subdomainsApi.use(apiErrorHandler);
+
+app.use('/api/subdomains', subdomainsApi);
+
+// Discovery document: everything a client needs to sign in and connect,
+// given only this server's URL. Served on the base host only.
+app.get('/.well-known/ghostgate', (req, res, next) => {
+    if (isTunnelHost(req.headers.host)) {
+        return next();
+    }
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+        version: 1,
+        baseUrl: BASE_URL,
+        websocketUrl: AGENT_WS_URL,
+        routing: {
+            mode: TUNNEL_DOMAIN ? 'subdomain' : 'path',
+            tunnelDomain: TUNNEL_DOMAIN,
+            // Path-prefix URLs work in both modes
+            pathUrls: `${BASE_URL}/{subdomain}`
+        },
+        auth: {
+            url: AUTH_URL,
+            deviceCodeUrl: `${AUTH_URL}/api/auth/request-device-code`,
+            devicePollUrl: `${AUTH_URL}/api/device/poll`
+        },
+        api: {
+            tunnelsUrl: `${BASE_URL}/api/tunnels`,
+            devicesUrl: `${BASE_URL}/api/devices`,
+            keysUrl: `${BASE_URL}/api/keys`,
+            subdomainsUrl: `${BASE_URL}/api/subdomains`
+        },
+        protocols: ['http', 'tcp'],
+        features: ['websocket', 'streaming', 'routes', 'heartbeat', 'tunnel-api', 'device-sessions', 'api-keys', 'reserved-subdomains', 'custom-domains', ...(TLS_ENABLED ? ['tls'] : [])],
+        tcp: {
+            host: TCP_HOST,
+            portRange: [TCP_PORT_MIN, TCP_PORT_MAX]
+        },
+        limits: {
+            maxConcurrency: MAX_INFLIGHT_PER_TUNNEL,
+            defaultRequestTimeoutMs: DEFAULT_REQUEST_TIMEOUT_MS,
+            maxRequestTimeoutMs: MAX_REQUEST_TIMEOUT_MS
+        }
+    });
+});
+
 // HTTP tunnel endpoint with analytics
 app.use(async (req, res) => {
-    const pathParts = req.path.split('/').filter(part => part !== '');
+    const route = resolveTunnelRoute(req);
+    const { identifier, targetPath } = route;
 
-    if (pathParts.length === 0) {
+    if (!identifier) {
         return res.status(400).json({
             error: 'Invalid tunnel path',
-            message: 'Please specify a tunnel subdomain: /{subdomain}/path'
+            message: TUNNEL_DOMAIN ?
+                `Please use {subdomain}.${TUNNEL_DOMAIN} or /{subdomain}/path` :
+                'Please specify a tunnel subdomain: /{subdomain}/path'
         });
     }
 
-    const [identifier, ...rest] = pathParts;
-    const targetPath = '/' + rest.join('/');
-
     // Get tunnel from database
     const tunnel = await getTunnelByIdentifier(identifier);
 
@@ -881,6 +2864,13 @@ app.use(async (req, res) => {
         });
     }
 
+    if (tunnel.protocol === 'tcp') {
+        return res.status(400).json({
+            error: 'Not an HTTP tunnel',
+            message: `Tunnel "${identifier}" is a TCP tunnel; connect to its public TCP port instead`
+        });
+    }
+
     if (!tunnel.isActive) {
         logWithTimestamp('WARN', `Tunnel is inactive: "${identifier}"`);
         return res.status(503).json({
@@ -897,7 +2887,7 @@ app.use(async (req, res) => {
     }
 
     // Check if agent is connected
-    const agent = agents.get(tunnel.id);
+    let agent = agents.get(tunnel.id);
 
     if (!agent) {
         logWithTimestamp('WARN', `No active agent for tunnel: "${identifier}" (ID: ${tunnel.id})`);
@@ -914,78 +2904,128 @@ app.use(async (req, res) => {
         });
     }
 
+    // Start analytics tracking using tunnel.id
+    const analyticsId = await storeReqData(req, res, tunnel.id);
 
+    // IP allow/deny lists, checked against the resolved client address
+    if (!isIpAllowed(getTunnelIpRules(tunnel), getClientIP(req))) {
+        logBlockedIp(req, tunnel, targetPath);
+        markBlocked(analyticsId, 'ip');
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: `Your IP address is not allowed to access tunnel "${identifier}"`
+        });
+    }
 
+    // Token buckets per client IP and per tunnel; checked before credentials
+    // so they also slow down password guessing
+    const limited = checkRateLimits(tunnel, getClientIP(req));
+    if (limited) {
+        logWithTimestamp('DEBUG', `🐢 Request rate limited`, {
+            tunnelId: tunnel.id,
+            clientIp: getClientIP(req),
+            retryAfter: `${limited.retryAfterSeconds}s`
+        });
+        markBlocked(analyticsId, 'rate-limit');
+        res.set(rateLimitHeaders(limited));
+        return res.status(429).json({
+            error: 'Too Many Requests',
+            message: `Rate limit exceeded for tunnel "${identifier}", retry in ${limited.retryAfterSeconds}s`
+        });
+    }
 
+    // Protected tunnels: challenge the visitor before anything reaches the agent
+    const access = await checkTunnelAccess(tunnel, req.headers.authorization);
+    if (!access.allowed) {
+        logUnauthorized(req, tunnel, targetPath);
+        res.set('WWW-Authenticate', access.challenge);
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: `Tunnel "${identifier}" requires authentication`
+        });
+    }
 
+    // Respect the tunnel's in-flight limit; overflow waits in a bounded queue
+    if (!await acquireForwardSlot(tunnel.id, agent, res)) {
+        return;
+    }
 
+    // The agent may have reconnected while the request was queued
+    agent = agents.get(tunnel.id);
+    if (!agent) {
+        return res.status(502).json({
+            error: 'Tunnel not connected',
+            message: `Tunnel "${identifier}" disconnected while the request was queued`
+        });
+    }
 
-
-
-
-
-
-
-    // Start analytics tracking using tunnel.id
-    const analyticsId = await storeReqData(req, res, tunnel.id);
     const requestId = uuidv4();
-    let body = '';
-
-    req.on('data', chunk => body += chunk);
-
-    req.on('end', () => {
-        pendingResponses.set(requestId, res);
+    const requestTimeout = getRequestTimeout(tunnel);
 
-        try {
-            agent.send(JSON.stringify({
-                type: 'request',
-                id: requestId,
-                method: req.method,
+    // Request start: the body follows as binary frames, then `request-end`
+    const timeoutId = setTimeout(() => {
+        if (pendingResponses.has(requestId)) {
+            logWithTimestamp('WARN', `⏱️ Request timeout for tunnel ${tunnel.id}`, {
+                requestId: requestId.substring(0, 8),
                 path: targetPath,
-                headers: req.headers,
-                body,
-            }));
-
-            // Timeout handling
-            const timeoutId = setTimeout(() => {
-                if (pendingResponses.has(requestId)) {
-                    // Capture timeout as error
-                    storeRespData(analyticsId, 504, Date.now() - activeRequests.get(analyticsId)?.startTime || 0, 0);
-
-                    logWithTimestamp('WARN', `⏱️ Request timeout for tunnel ${tunnel.id}`, {
-                        requestId: requestId.substring(0, 8),
-                        path: targetPath,
-                        method: req.method,
-                        tunnelName: tunnel.name
-                    });
+                method: req.method,
+                tunnelName: tunnel.name,
+                timeout: `${requestTimeout}ms`
+            });
 
-                    res.status(504).send('Request timed out');
-                    pendingResponses.delete(requestId);
-                }
-            }, 10000);
+            pendingResponses.delete(requestId);
+            sendControl(agent, { type: 'abort', id: requestId });
+            res.status(504).send('Request timed out');
+        }
+    }, requestTimeout);
 
-            // Clear timeout if response comes back
-            const originalSend = res.send;
-            res.send = function (data) {
-                clearTimeout(timeoutId);
-                return originalSend.call(this, data);
-            };
+    // Paused while the agent's socket is congested or the agent asks (slow local app)
+    const requestFlow = createFlowControl(req);
+    pendingResponses.set(requestId, { res, tunnelId: tunnel.id, agent, timeoutId, requestFlow });
 
-        } catch (err) {
+    // Visitor went away before the response finished: cancel the local request
+    res.on('close', () => {
+        if (pendingResponses.has(requestId)) {
+            clearTimeout(timeoutId);
             pendingResponses.delete(requestId);
+            sendControl(agent, { type: 'abort', id: requestId });
+        }
+    });
 
-            // Capture error metrics
-            storeRespData(analyticsId, 500, Date.now() - activeRequests.get(analyticsId)?.startTime || 0, 0);
+    try {
+        agent.send(JSON.stringify({
+            type: 'request',
+            tunnelId: tunnel.id,
+            id: requestId,
+            method: req.method,
+            path: targetPath,
+            headers: getForwardedHeaders(req, route, tunnel),
+            // Hop-by-hop headers are gone, so say whether body frames follow
+            hasBody: Boolean(req.headers['transfer-encoding']) || Number(req.headers['content-length']) > 0,
+            timeout: requestTimeout,
+        }));
+    } catch (err) {
+        clearTimeout(timeoutId);
+        pendingResponses.delete(requestId);
+
+        logWithTimestamp('ERROR', `Failed to send request to tunnel ${tunnel.id}`, {
+            error: err.message,
+            requestId: requestId.substring(0, 8),
+            tunnelName: tunnel.name
+        });
+        return res.status(500).send('Internal tunnel error');
+    }
 
-            logWithTimestamp('ERROR', `Failed to send request to tunnel ${tunnel.id}`, {
-                error: err.message,
-                requestId: requestId.substring(0, 8),
-                tunnelName: tunnel.name
-            });
-            res.status(500).send('Internal tunnel error');
+    req.on('data', chunk => {
+        if (pendingResponses.has(requestId)) {
+            sendFrame(agent, encodeFrame(FRAME_DATA, requestId, chunk), requestFlow);
         }
     });
 
+    req.on('end', () => {
+        sendControl(agent, { type: 'request-end', id: requestId });
+    });
+
     req.on('error', (err) => {
         logWithTimestamp('ERROR', `Request error for tunnel ${tunnel.id}`, {
             error: err.message,
@@ -993,13 +3033,32 @@ app.use(async (req, res) => {
             tunnelName: tunnel.name
         });
         if (pendingResponses.has(requestId)) {
-            storeRespData(analyticsId, 400, Date.now() - activeRequests.get(analyticsId)?.startTime || 0, 0);
-            res.status(400).send('Bad request');
+            clearTimeout(timeoutId);
             pendingResponses.delete(requestId);
+            sendControl(agent, { type: 'abort', id: requestId });
+            if (!res.headersSent) {
+                res.status(400).send('Bad request');
+            }
         }
     });
 });
 
+// Probe agents and evict the ones that stopped answering (half-open connections)
+setInterval(() => {
+    wss.clients.forEach((ws) => {
+        if (ws.missedHeartbeats >= HEARTBEAT_MAX_MISSED) {
+            logWithTimestamp('WARN', `💔 Agent missed ${ws.missedHeartbeats} heartbeats, evicting`, {
+                tunnelIds: Array.from(ws.tunnels.keys())
+            });
+            ws.terminate();
+            return;
+        }
+
+        ws.missedHeartbeats++;
+        ws.ping();
+    });
+}, HEARTBEAT_INTERVAL_MS);
+
 // Process metrics buffer every 2 minutes
 setInterval(() => {
     logWithTimestamp('INFO', `🔄 Scheduled metrics processing`, {
@@ -1009,6 +3068,9 @@ setInterval(() => {
     processMetricsBuffer();
 }, 2 * 60 * 1000);
 
+// Forget rate limit buckets that have filled up again
+setInterval(() => rateLimiter.prune(), 60 * 1000);
+
 // Clean up old live stats every 10 minutes
 setInterval(async () => {
     try {
@@ -1081,6 +3143,8 @@ async function generateDailyStats() {
             const totalRequests = stats.reduce((sum, s) => sum + s.totalRequests, 0);
             const successRequests = stats.reduce((sum, s) => sum + s.successRequests, 0);
             const errorRequests = stats.reduce((sum, s) => sum + s.errorRequests, 0);
+            const blockedRequests = stats.reduce((sum, s) => sum + s.blockedRequests, 0);
+            const rateLimitedRequests = stats.reduce((sum, s) => sum + s.rateLimitedRequests, 0);
             const avgResponseTime = stats.reduce((sum, s) => sum + s.avgResponseTime, 0) / stats.length;
             const totalBandwidth = stats.reduce((sum, s) => sum + BigInt(s.totalBandwidth), BigInt(0));
             const uniqueIps = stats.reduce((sum, s) => sum + s.uniqueIps, 0);
@@ -1114,6 +3178,8 @@ async function generateDailyStats() {
                     totalRequests,
                     successRequests,
                     errorRequests,
+                    blockedRequests,
+                    rateLimitedRequests,
                     avgResponseTime,
                     totalBandwidth,
                     uniqueIps,
@@ -1123,6 +3189,8 @@ async function generateDailyStats() {
                     totalRequests,
                     successRequests,
                     errorRequests,
+                    blockedRequests,
+                    rateLimitedRequests,
                     avgResponseTime,
                     totalBandwidth,
                     uniqueIps,
@@ -1167,11 +3235,18 @@ setTimeout(() => {
     setInterval(generateDailyStats, 24 * 60 * 60 * 1000);
 }, msUntilMidnight);
 
+try {
+    await loadCustomDomains();
+} catch (error) {
+    logWithTimestamp('ERROR', `Failed to load custom domains`, { error: error.message });
+}
+
 const PORT = process.env.PORT || 8080;
 server.listen(PORT, () => {
     logWithTimestamp('SUCCESS', `🚇 Tunnel server with analytics running`, {
         port: PORT,
         url: `http://localhost:${PORT}`,
+        routing: TUNNEL_DOMAIN ? `subdomain (*.${TUNNEL_DOMAIN}) + path` : 'path',
         metricsBufferLimit: 100,
         metricsProcessingInterval: '2 minutes',
         liveStatsCleanup: '10 minutes',
@@ -1179,6 +3254,15 @@ server.listen(PORT, () => {
     });
 });
 
+tlsServer?.listen(HTTPS_PORT, () => {
+    logWithTimestamp('SUCCESS', `🔒 HTTPS and WSS listening`, {
+        port: HTTPS_PORT,
+        certificates: certificates.hostnames(),
+        customDomains: customDomains.size,
+        redirectingHttp: HTTP_REDIRECT
+    });
+});
+
 // Show current status periodically
 setInterval(() => {
     if (agents.size > 0) {
@@ -1186,6 +3270,13 @@ setInterval(() => {
             activeAgents: agents.size,
             tunnelIds: Array.from(agents.keys()),
             pendingResponses: pendingResponses.size,
+            queuedRequests: Array.from(requestQueues.values()).reduce((sum, state) => sum + state.waiting.length, 0),
+            requestQueues: Object.fromEntries(
+                Array.from(requestQueues.entries(), ([tunnelId, state]) => [
+                    tunnelId,
+                    { inflight: state.inflight, queued: state.waiting.length }
+                ])
+            ),
             metricsBufferSize: metricsBuffer.length,
             uniqueIpsTracked: uniqueIpsBuffer.size,
             activeRequests: activeRequests.size,
@@ -1213,7 +3304,9 @@ process.on('SIGTERM', async () => {
     // Close database connection
     await prisma.$disconnect();
 
-    // Close HTTP server
+    // Close HTTP and HTTPS servers
+    certificates?.close();
+    tlsServer?.close();
     server.close(() => {
         logWithTimestamp('SUCCESS', '✅ Server shut down gracefully');
         process.exit(0);
@@ -1238,7 +3331,9 @@ process.on('SIGINT', async () => {
     // Close database connection
     await prisma.$disconnect();
 
-    // Close HTTP server
+    // Close HTTP and HTTPS servers
+    certificates?.close();
+    tlsServer?.close();
     server.close(() => {
         logWithTimestamp('SUCCESS', '✅ Server shut down gracefully');
         process.exit(0);
@@ -2,7 +2,7 @@ import { NextRequest, NextResponse } from "next/server";
 import { getServerSession } from "next-auth/next";
 import { authOptions } from "@/app/api/auth/[...nextauth]/route";
 import { prisma } from "@/lib/prisma";
-import { signJWT } from "@/lib/jwt";
+import { signJWT, TOKEN_LIFETIME_SECONDS } from "@/lib/jwt";
 
 export async function POST(request: NextRequest) {
   try {
@@ -57,12 +57,21 @@ export async function POST(request: NextRequest) {
       },
     });
 
+    // Every token gets its own device session so it can be revoked later
+    const deviceSession = await prisma.deviceSession.create({
+      data: {
+        userId: user.id,
+        deviceId: deviceCode.deviceId,
+        expiresAt: new Date(Date.now() + TOKEN_LIFETIME_SECONDS * 1000),
+      },
+    });
+
     // Generate JWT token
     const token = signJWT({
       userId: user.id,
       email: user.email!,
       deviceId: deviceCode.deviceId,
-    });
+    }, deviceSession.id);
 
     // Update device code with user and token
     await prisma.deviceAuthCode.update({
@@ -18,6 +18,17 @@ export async function GET(request: NextRequest) {
             return NextResponse.json({ error: "Invalid token" }, { status: 401 })
         }
 
+        // Tokens tied to a device session stop working once it is revoked
+        if (payload.jti) {
+            const deviceSession = await prisma.deviceSession.findUnique({
+                where: { id: payload.jti },
+            })
+
+            if (!deviceSession || deviceSession.revokedAt || deviceSession.expiresAt < new Date()) {
+                return NextResponse.json({ error: "Session revoked" }, { status: 401 })
+            }
+        }
+
         // Verify user still exists
         const user = await prisma.user.findUnique({
             where: { id: payload.userId },
@@ -10,21 +10,26 @@ if (!process.env.JWT_SECRET) {
     console.warn('⚠️ Warning: JWT_SECRET not found in .env. Using fallback default. Do NOT use in production.');
 }
 
+export const TOKEN_LIFETIME_SECONDS = 30 * 24 * 60 * 60;
+
 export interface JWTPayload {
     userId: string;
     email: string;
     deviceId: string;
+    jti?: string; // DeviceSession id; older tokens have none
     iat?: number;
     exp?: number;
 }
 
 /**
- * Sign a JWT with the given payload (excluding iat and exp)
+ * Sign a JWT with the given payload (excluding iat and exp). Pass the
+ * DeviceSession id so the token can be revoked before it expires.
  */
-export function signJWT(payload: Omit<JWTPayload, 'iat' | 'exp'>): string {
+export function signJWT(payload: Omit<JWTPayload, 'jti' | 'iat' | 'exp'>, sessionId?: string): string {
     return jwt.sign(payload, JWT_SECRET, {
-        expiresIn: '30d',
+        expiresIn: TOKEN_LIFETIME_SECONDS,
         issuer: 'cli-auth-backend',
+        ...(sessionId ? { jwtid: sessionId } : {}),
     });
 }
 